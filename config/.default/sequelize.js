@@ -1,22 +1,45 @@
+const path = require("path");
 const production = require("./db.json");
 
-module.exports = {
-	development: {
-		database: "cognitum_dev",
-		username: "cognitum_dev",
-		password: "cognitum_dev",
-		host: "localhost",
-		port: 3306,
-		dialect: "mariadb"
-	},
-	production: {
-		database: production[production.dbtype].database,
-		username: production[production.dbtype].host,
-		password: production[production.dbtype].password,
-		host: production[production.dbtype].host,
-		// TODO Field with port in database configuration file
-		port: 3306,
-		dialect: production.dbtype
+const development = {
+	database: "cognitum_dev",
+	username: "cognitum_dev",
+	password: "cognitum_dev",
+	host: "localhost",
+	port: 3306,
+	dialect: "mariadb"
+};
+
+/**
+ * Create configuration for production environment from `db.json`. SQLite storage is resolved against the bot
+ * directory same as bot does it, so migrations are applied to the same file. In-memory database is a temporary file
+ * built on every bot start, so configured SQLite storage is used for it too.
+ * @return {Object}
+ */
+function createProductionConfig() {
+	switch (production.dbtype) {
+	case "sqlite":
+	case "inmemory":
+		return {
+			dialect: "sqlite",
+			storage: path.resolve(__dirname, "..", production.sqlite?.storage ?? "cognitum.sqlite")
+		};
+	case "mariadb":
+		return {
+			database: production.mariadb.database,
+			username: production.mariadb.username,
+			password: production.mariadb.password,
+			host: production.mariadb.host,
+			// TODO Field with port in database configuration file
+			port: 3306,
+			dialect: "mariadb"
+		};
+	default:
+		return development;
 	}
-	// TODO Test sequelize-cli configuration
+}
+
+module.exports = {
+	development,
+	production: createProductionConfig()
 };
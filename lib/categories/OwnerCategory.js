@@ -0,0 +1,8 @@
+const BaseCategory = require("../classes/base/BaseCategory.js");
+
+class OwnerCategory extends BaseCategory {
+	static code = "owner";
+	static visible = false;
+}
+
+module.exports = OwnerCategory;
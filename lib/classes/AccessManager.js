@@ -0,0 +1,114 @@
+const { GuildRoleModel } = require("./Database");
+const Config = require("./ConfigManager");
+
+/**
+ * # Access Manager
+ *
+ * Resolves bot access level of the caller. Access level is the highest of:
+ *
+ * + Global level of the user, the only source of bot owner level. Users listed in `cognitum.owners` preference always
+ *   have owner level;
+ * + Level of the guild member;
+ * + Levels of the member roles;
+ * + Level granted by Discord: guild owner and administrators have admin level.
+ *
+ * Levels assigned to members and roles can't be higher than admin level.
+ * @example
+ * const level = await AccessManager.resolve(context);
+ * if (level >= AccessManager.LEVEL_MODERATOR) {
+ * 	// ...
+ * }
+ */
+class AccessManager {
+	/**
+	 * Resolve access level of the caller. Only global level is used in direct messages.
+	 * @param {CommandContext} context Command context.
+	 * @return {Promise<number>} Access level.
+	 */
+	static async resolve(context) {
+		const globalLevel = this.isOwner(context.getMessage().author.id)
+			? this.LEVEL_OWNER
+			: context.getUserInstance()["access"];
+		if (context.isDirect())
+			return globalLevel;
+		const member = context.getMessage().member;
+		const roles = await GuildRoleModel.findAll({
+			where: {
+				id_guild: member.guild.id,
+				id: member.roles.cache.keyArray()
+			}
+		});
+		const localLevel = Math.max(
+			context.getMemberInstance()["access"],
+			...roles.map(role => role["access"]),
+			member.guild.ownerID === member.id || member.permissions.has("ADMINISTRATOR") ? this.LEVEL_ADMIN : this.LEVEL_USER
+		);
+		return Math.max(globalLevel, Math.min(localLevel, this.LEVEL_ADMIN));
+	}
+
+	/**
+	 * Check is user listed as bot owner in preferences.
+	 * @param {string} userId Discord ID of the user.
+	 * @return {boolean}
+	 */
+	static isOwner(userId) {
+		return (Config.get("preferences.cognitum.owners") ?? []).includes(userId);
+	}
+
+	/**
+	 * Resolve access level from its code.
+	 * @param {Cognitum.AccessLevelCode|number} level Level code or level itself.
+	 * @return {number} Access level.
+	 */
+	static parseLevel(level) {
+		if (typeof level === "number")
+			return level;
+		const index = this.LEVELS.indexOf(level);
+		if (index === -1)
+			throw new Error(`Unknown access level "${level}"!`);
+		return index;
+	}
+
+	/**
+	 * Get code of the access level.
+	 * @param {number} level Access level.
+	 * @return {Cognitum.AccessLevelCode}
+	 */
+	static getCode(level) {
+		return this.LEVELS[Math.max(Math.min(level, this.LEVEL_OWNER), this.LEVEL_USER)];
+	}
+
+	/**
+	 * Regular user.
+	 * @type {number}
+	 */
+	static LEVEL_USER = 0;
+	/**
+	 * Trusted member of the guild.
+	 * @type {number}
+	 */
+	static LEVEL_TRUSTED = 1;
+	/**
+	 * Moderator of the guild.
+	 * @type {number}
+	 */
+	static LEVEL_MODERATOR = 2;
+	/**
+	 * Administrator of the guild.
+	 * @type {number}
+	 */
+	static LEVEL_ADMIN = 3;
+	/**
+	 * Owner of the bot. Can be set only as global user access level.
+	 * @type {number}
+	 */
+	static LEVEL_OWNER = 4;
+
+	/**
+	 * Codes of the access levels. Index is access level.
+	 * @type {Cognitum.AccessLevelCode[]}
+	 */
+	static LEVELS = ["user", "trusted", "moderator", "admin", "owner"];
+}
+
+module.exports = AccessManager;
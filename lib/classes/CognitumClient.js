@@ -5,10 +5,13 @@ const { Database } = require("./Database");
 const { Client } = require("discord.js");
 const TasksQueue = require("./tasks/TasksQueue");
 const MonitoringStatsTask = require("./tasks/internal/MonitoringStatsTask");
-const { formatTimeString, log } = require("./Utils");
+const VoiceHeartbeatTask = require("./tasks/internal/VoiceHeartbeatTask");
+const { formatTimeString, log, createModuleLog, RELOAD_SIGNAL } = require("./Utils");
 const VoiceStateManager = require("./statistics/VoiceStateManager");
 const MessageProcessor = require("./MessageProcessor");
 const LogsProcessor = require("./LogsProcessor");
+const WelcomeProcessor = require("./WelcomeProcessor");
+const reloadLog = createModuleLog("Reload");
 
 /**
  * Extended class from Discord Client.
@@ -38,12 +41,17 @@ class CognitumClient extends Client {
 		this.#voiceStatsManager = await new VoiceStateManager(this).initialize();
 		await new MessageProcessor(this).initialize();
 		await new LogsProcessor(this).initialize();
+		await new WelcomeProcessor(this).initialize();
 		await this.login(
 			Config.get("auth.discord.token")
 		);
 		log("log", "Authorization success!");
 		this.#tasksQueue = await new TasksQueue(this).initialize();
 		this.#initializeInternalTasks();
+		if (this.shard)
+			process.on("message", message => this.#handleManagerMessage(message));
+		else
+			process.on(RELOAD_SIGNAL, () => this.#handleReloadSignal());
 		log("success", "All done!");
 	}
 
@@ -51,6 +59,71 @@ class CognitumClient extends Client {
 		this.#tasksQueue.pushTask(
 			new MonitoringStatsTask(null, new Date().getTime())
 		);
+		this.#tasksQueue.pushTask(
+			new VoiceHeartbeatTask(null, new Date().getTime() + VoiceHeartbeatTask.INTERVAL)
+		);
+	}
+
+	/**
+	 * Handle message from sharding manager. Reload requested by other shard is applied to the current shard.
+	 * @param {Cognitum.ShardMessage} message Message from manager.
+	 */
+	#handleManagerMessage(message) {
+		if (message?.type !== "reload")
+			return;
+		this.reload(message.target).catch(error => {
+			reloadLog("error", `Failed to reload ${message.target}!`);
+			console.error(error);
+		});
+	}
+
+	/**
+	 * Handle reload signal sent to the process. Used only if bot is started without sharding manager.
+	 */
+	#handleReloadSignal() {
+		this.reload("commands").catch(error => {
+			reloadLog("error", "Failed to reload commands by signal!");
+			console.error(error);
+		});
+	}
+
+	/**
+	 * Reload parts of the current shard. Commands are reloaded together with categories and language packs: all of
+	 * them are applied only if everything is loaded successfully.
+	 * @param {Cognitum.ReloadTarget} target What to reload.
+	 * @param {boolean} [broadcast] Request reloading of other shards through sharding manager.
+	 * @return {Promise<void>}
+	 * @throws {Error} If reloading is failed. Previously loaded files stay active.
+	 */
+	async reload(target, broadcast = false) {
+		reloadLog("log", `Reloading ${target}...`);
+		switch (target) {
+		case "lang":
+			await Lang.reload();
+			break;
+		case "commands":
+			await this.constructor.#reloadCommands();
+			break;
+		case "config":
+			await Config.initialize();
+			break;
+		default:
+			throw new Error(`Unknown reload target "${target}"!`);
+		}
+		reloadLog("success", `Reloaded ${target}!`);
+		if (broadcast && this.shard)
+			await this.shard.send({ type: "reload", target });
+	}
+
+	/**
+	 * Reload commands, categories and language packs. Packs are loaded before commands and applied after them, so
+	 * nothing is changed if any file is broken.
+	 * @return {Promise<void>}
+	 */
+	static async #reloadCommands() {
+		const packs = await Lang.loadPacks();
+		await CommandsRegistry.reload();
+		await Lang.reload(packs);
 	}
 
 	/**
@@ -66,6 +139,14 @@ class CognitumClient extends Client {
 	get taskQueue() {
 		return this.#tasksQueue;
 	}
+
+	/**
+	 * Get voice stats manager instance.
+	 * @return {VoiceStateManager}
+	 */
+	get voiceStateManager() {
+		return this.#voiceStatsManager;
+	}
 }
 
 module.exports = CognitumClient;
@@ -1,6 +1,7 @@
 const ConfigManager = require("./ConfigManager");
 const { ShardingManager } = require("discord.js");
-const log = require("./Utils").createModuleLog("ShardingManager");
+const { createModuleLog, RELOAD_SIGNAL } = require("./Utils");
+const log = createModuleLog("ShardingManager");
 
 class CognitumShardingManager extends ShardingManager {
 	static async initialize() {
@@ -21,7 +22,34 @@ class CognitumShardingManager extends ShardingManager {
 	}
 
 	attachEventListeners() {
-		this.on("shardCreate", shard => log("success", `Shard spawned: ${shard.id}`));
+		process.on(RELOAD_SIGNAL, () => {
+			log("log", "Reload signal received, reloading commands on all shards...");
+			this.broadcast({ type: "reload", target: "commands" }).catch(error => {
+				log("error", "Failed to pass reload request to shards!");
+				console.error(error);
+			});
+		});
+		this.on("shardCreate", shard => {
+			log("success", `Shard spawned: ${shard.id}`);
+			shard.on("message", message => this.#handleShardMessage(shard, message));
+		});
+	}
+
+	/**
+	 * Handle message from shard. Reload requests are passed to all other shards.
+	 * @param {module:"discord.js".Shard} source Shard sent the message.
+	 * @param {Cognitum.ShardMessage} message Message from shard.
+	 */
+	#handleShardMessage(source, message) {
+		if (message?.type !== "reload")
+			return;
+		log("log", `Shard ${source.id} requested reloading of ${message.target}.`);
+		this.shards
+			.filter(shard => shard.id !== source.id)
+			.forEach(shard => shard.send(message).catch(error => {
+				log("error", `Failed to pass reload request to shard ${shard.id}!`);
+				console.error(error);
+			}));
 	}
 }
 
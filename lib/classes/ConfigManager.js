@@ -22,6 +22,8 @@ class ConfigManager {
 	 * Initialization method. Its loading configuration files from `/config/default/` directory
 	 * and checks, if files with same name exists in `/config/` direcotry.
 	 * If some files is not exists in `/config/`, then the default ones are copied.
+	 * Can be called again for reloading files: cached modules are cleared and loaded values are replaced only if all
+	 * files are loaded successfully. Values used on startup (token, database connection) are applied after restart.
 	 * @return {Promise<void>}
 	 */
 	static async initialize() {
@@ -49,9 +51,13 @@ class ConfigManager {
 		configs = await fs.readdir(configDir);
 		configs = ig.filter(configs);
 
+		const loadedConfigs = {};
 		configs.forEach(conf => {
-			this.#configs[fileName(conf)] = require(path.resolve(configDir, conf));
+			const configPath = path.resolve(configDir, conf);
+			delete require.cache[configPath];
+			loadedConfigs[fileName(conf)] = require(configPath);
 		});
+		this.#configs = loadedConfigs;
 		log("success", "All configuration files loaded.");
 	}
 
@@ -1,11 +1,19 @@
-const { Sequelize } = require("sequelize");
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const { Sequelize, Transaction } = require("sequelize");
+const sqlite3 = require("sqlite3");
+const Umzug = require("umzug");
+const CommandRuleModel = require("../database/models/CommandRuleModel");
 const DocumentModel = require("../database/models/DocumentModel");
 const GuildModel = require("../database/models/GuildModel");
 const GuildChannelModel = require("../database/models/GuildChannelModel");
 const GuildMemberModel = require("../database/models/GuildMemberModel");
+const GuildRoleModel = require("../database/models/GuildRoleModel");
 const MessageStatisticsModel = require("../database/models/MessageStatisticsModel");
 const UserModel = require("../database/models/UserModel");
 const VoiceStatisticsModel = require("../database/models/VoiceStatisticsModel");
+const VoiceSessionModel = require("../database/models/VoiceSessionModel");
 const TaskModel = require("../database/models/TaskModel");
 const { createModuleLog } = require("../classes/Utils");
 const log = createModuleLog("Database");
@@ -36,23 +44,73 @@ class Database {
 			process.exit();
 		}
 
+		await this.#checkMigrations(
+			// In-memory database is empty on every start, so the schema must be built before models are used.
+			Config.get("db.autoMigrate") === true || dbtype === "inmemory"
+		);
+
 		log("log", "Database models initialization...");
 		GuildModel.initialize(this.sequelizeInstance);
 		UserModel.initialize(this.sequelizeInstance);
 		GuildChannelModel.initialize(this.sequelizeInstance);
 		GuildMemberModel.initialize(this.sequelizeInstance);
+		GuildRoleModel.initialize(this.sequelizeInstance);
 		DocumentModel.initialize(this.sequelizeInstance);
 		MessageStatisticsModel.initialize(this.sequelizeInstance);
 		VoiceStatisticsModel.initialize(this.sequelizeInstance);
+		VoiceSessionModel.initialize(this.sequelizeInstance);
 		TaskModel.initialize(this.sequelizeInstance);
+		CommandRuleModel.initialize(this.sequelizeInstance);
 		log("success", "All database models initialized!");
 		log("log", "Setting up associations...");
 		MessageStatisticsModel.belongsTo(GuildMemberModel, { foreignKey: "id_member" });
 		MessageStatisticsModel.belongsTo(GuildChannelModel, { foreignKey: "id_channel" });
 		VoiceStatisticsModel.belongsTo(GuildMemberModel, { foreignKey: "id_member" });
+		VoiceStatisticsModel.belongsTo(GuildChannelModel, { foreignKey: "id_channel" });
+		DocumentModel.belongsTo(GuildMemberModel, { foreignKey: "id_member" });
+		VoiceSessionModel.belongsTo(GuildMemberModel, { foreignKey: "id_member" });
 		log("success", "Associations set!");
 	}
 
+	/**
+	 * Check for pending migrations from `/lib/database/migrations/` directory. Applied migrations are stored in the
+	 * `SequelizeMeta` table, same as sequelize-cli does it. If there are pending migrations and applying is not allowed,
+	 * bot startup will be stopped with list of missing migrations.
+	 * @param {boolean} autoMigrate Apply pending migrations instead of stopping startup.
+	 * @return {Promise<void>}
+	 */
+	static async #checkMigrations(autoMigrate) {
+		log("log", "Checking database migrations...");
+		const umzug = new Umzug({
+			storage: "sequelize",
+			storageOptions: {
+				sequelize: this.sequelizeInstance
+			},
+			logging: false,
+			migrations: {
+				params: [this.sequelizeInstance.getQueryInterface(), Sequelize],
+				path: path.resolve(__dirname, "..", "database", "migrations"),
+				pattern: /\.js$/
+			}
+		});
+		const pending = await umzug.pending();
+		if (!pending.length)
+			return log("success", "Database schema is up to date!");
+		if (!autoMigrate) {
+			log("error", `Database schema is outdated! Missing migrations (${pending.length}):`);
+			pending.forEach(migration => log("error", `- ${migration.file}`));
+			log("error", "Run `npm run migrate` or enable `autoMigrate` in db.json to apply them on startup.");
+			log("error", "Migrations command uses `config/sequelize.js`, restore it from `config/.default/` if it's outdated.");
+			process.exit();
+		}
+		log("log", `Applying ${pending.length} pending migrations...`);
+		for (const migration of pending) {
+			await umzug.up({ migrations: [migration.file] });
+			log("log", `Migration applied: ${migration.file}.`);
+		}
+		log("success", "All database migrations applied!");
+	}
+
 	static async #isConnectionSuccessful() {
 		try {
 			await this.sequelizeInstance.authenticate();
@@ -63,6 +121,46 @@ class Database {
 		}
 	};
 
+	/**
+	 * Create instance for SQLite database. Sequelize runs every transaction in its own connection, so transactions take
+	 * write lock on start and queries failed on locked database are retried.
+	 * @param {string} storage Absolute path to the database file.
+	 * @return {Sequelize}
+	 */
+	static #createSqliteInstance(storage) {
+		return new Sequelize({
+			logging: Config.get("preferences.cognitum.debug"),
+			dialect: "sqlite",
+			dialectModule: this.#sqliteModule,
+			storage,
+			transactionType: Transaction.TYPES.IMMEDIATE,
+			retry: {
+				match: [/SQLITE_BUSY/],
+				max: 500,
+				backoffBase: 20,
+				backoffExponent: 1
+			}
+		});
+	}
+
+	/**
+	 * SQLite driver without waiting for locked database. Driver waits inside threads of the libuv pool, so a few waiting
+	 * transactions take all threads and the transaction holding the lock can't be finished. Retries of Sequelize wait
+	 * without taking threads.
+	 */
+	static #sqliteModule = {
+		...sqlite3,
+		Database: class extends sqlite3.Database {
+			constructor(...args) {
+				super(...args);
+				this.configure("busyTimeout", 0);
+			}
+		},
+		verbose() {
+			return this;
+		}
+	};
+
 	static #dbInstance = {
 		dev() {
 			return new Sequelize("cognitum_dev", "cognitum_dev", "cognitum_dev", {
@@ -87,18 +185,36 @@ class Database {
 				},
 				pool
 			});
+		},
+
+		sqlite() {
+			// Storage path is relative to the bot directory, not to the working directory of the process
+			return Database.#createSqliteInstance(
+				path.resolve(__dirname, "..", "..", Config.get("db.sqlite.storage") ?? "cognitum.sqlite")
+			);
+		},
+
+		inmemory() {
+			// Memory database belongs to one connection, so temporary file is used instead. It's removed on exit.
+			const storage = path.resolve(os.tmpdir(), `cognitum-${process.pid}.sqlite`);
+			fs.rmSync(storage, { force: true });
+			process.once("exit", () => fs.rmSync(storage, { force: true }));
+			return Database.#createSqliteInstance(storage);
 		}
 	};
 }
 
 module.exports = {
 	Database,
+	CommandRuleModel,
 	DocumentModel,
 	GuildModel,
 	GuildChannelModel,
 	GuildMemberModel,
+	GuildRoleModel,
 	MessageStatisticsModel,
 	TaskModel,
 	UserModel,
+	VoiceSessionModel,
 	VoiceStatisticsModel
 };
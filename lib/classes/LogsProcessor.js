@@ -2,6 +2,8 @@ const BaseDiscordModule = require("./base/BaseDiscordModule");
 const { EventEmitter } = require("events");
 const { escapeMarkdown: escape } = require("./Utils");
 const { GuildModel } = require("./Database");
+const Lang = require("./localization/Lang");
+const LogEmbed = require("./embed/LogEmbed");
 
 /**
  * # Logs Processor
@@ -15,10 +17,9 @@ const { GuildModel } = require("./Database");
  * + Kicks (only with Audit Logs access)
  * + Bans (with executor and reason if Audit Logs access)
  * + Unbans (with executor and reason if Audit Logs access)
- *
- * @todo Message attachments for private logs.
- * @todo Message edits for private logs.
- * @todo Message deleting for private logs.
+ * + Message attachments (private logs)
+ * + Message edits (private logs, old content available only for cached messages)
+ * + Message deleting (private logs, content available only for cached messages)
  */
 class LogsProcessor extends BaseDiscordModule {
 	/**
@@ -46,6 +47,65 @@ class LogsProcessor extends BaseDiscordModule {
 		this.client.on("guildMemberUpdate", (prev, curr) => this.#resolveMemberUpdate(prev, curr));
 		this.client.on("guildBanAdd", (guild, user) => this.#resolveBanManagementEvent("ban", guild, user));
 		this.client.on("guildBanRemove", (guild, user) => this.#resolveBanManagementEvent("unban", guild, user));
+		this.client.on("message", message => this.#resolveMessageCreate(message));
+		this.client.on("messageUpdate", (prev, curr) => this.#resolveMessageUpdate(prev, curr));
+		this.client.on("messageDelete", message => this.#resolveMessageDelete(message));
+		this.client.on("messageDeleteBulk", messages => messages.forEach(message => this.#resolveMessageDelete(message)));
+	}
+
+	/**
+	 * Check is this message must be skipped from messages logging. Only guild messages from non-bot users are logged.
+	 * Partial messages without author are not skipped, because there is no way to check author of them.
+	 * @param {module:"discord.js".Message} message Target message.
+	 * @return {boolean}
+	 */
+	static #isMessageIgnored(message) {
+		return !message.guild || !["text", "news"].includes(message.channel?.type) || !!message.author?.bot || message.system;
+	}
+
+	/**
+	 * Resolve new message event. Only messages with attachments are logged.
+	 * @param {module:"discord.js".Message} message Target message.
+	 */
+	#resolveMessageCreate(message) {
+		if (this.constructor.#isMessageIgnored(message) || !message.attachments.size)
+			return;
+		this.#emitter.emit("msgimage", message);
+	}
+
+	/**
+	 * Resolve message update event. Partial updated message will be fetched to get actual content and author. Previous
+	 * content is available only if message was cached before update.
+	 * @param {module:"discord.js".Message} previousMessage Previous message state. May be partial.
+	 * @param {module:"discord.js".Message} currentMessage Current message state. May be partial.
+	 * @return {Promise<void>}
+	 */
+	async #resolveMessageUpdate(previousMessage, currentMessage) {
+		if (currentMessage.partial) {
+			try {
+				await currentMessage.fetch();
+			} catch (e) {
+				// Message was deleted or bot lost access to the channel.
+				return;
+			}
+		}
+		if (this.constructor.#isMessageIgnored(currentMessage))
+			return;
+		// Embeds loading also triggers update event without any content changes.
+		if (!previousMessage.partial && previousMessage.content === currentMessage.content)
+			return;
+		this.#emitter.emit("msgupdate", previousMessage, currentMessage);
+	}
+
+	/**
+	 * Resolve message delete event. Deleted messages can't be fetched, so uncached messages are logged with ID and
+	 * channel only.
+	 * @param {module:"discord.js".Message} message Deleted message. May be partial.
+	 */
+	#resolveMessageDelete(message) {
+		if (this.constructor.#isMessageIgnored(message))
+			return;
+		this.#emitter.emit("msgdelete", message);
 	}
 
 	/**
@@ -101,22 +161,15 @@ class LogsProcessor extends BaseDiscordModule {
 
 	/**
 	 * Resolve channel for logging.
-	 * @param {"join"|"left"|"rename"|"kick"|"ban"|"unban"} eventName
-	 * @param {...[any]} args List of arguments.
-	 * @return {Promise<module:"discord.js".GuildChannel>}
+	 * @param {"join"|"left"|"rename"|"kick"|"ban"|"unban"|"msgdelete"|"msgimage"|"msgupdate"} eventName
+	 * @param {module:"discord.js".Guild} guild Guild where event happened.
+	 * @param {GuildModel} guildInstance Guild database instance.
+	 * @return {module:"discord.js".GuildChannel|null}
 	 * + {@link GuildChannel} — if logging and target event enabled and logging channel specified.
 	 * + null — if message sending is not required.
 	 */
-	async #resolveChannel(eventName, ...args) {
-		/** @type {module:"discord.js".Guild} */
-		const guild = this.constructor.#guildResolver[eventName]?.(...args);
-		const [guildInstance] = await GuildModel.findOrCreate({
-			where: {
-				id: guild.id
-			}
-		});
-		if (eventName.endsWith(this.constructor.EVENT_NAME_AUDIT_POSTFIX))
-			eventName = eventName.slice(0, -this.constructor.EVENT_NAME_AUDIT_POSTFIX.length);
+	static #resolveChannel(eventName, guild, guildInstance) {
+		eventName = this.#normalizeEventName(eventName);
 		if (eventName === "unban")
 			eventName = "ban";
 		let channelType = ["msgdelete", "msgimage", "msgupdate"].includes(eventName) ? "private" : "public";
@@ -126,15 +179,26 @@ class LogsProcessor extends BaseDiscordModule {
 		) {
 			return null;
 		}
-		return guild.channels.cache.get(guildInstance[`logs_${channelType}_channel`].toString());
+		return guild.channels.cache.get(guildInstance[`logs_${channelType}_channel`].toString()) ?? null;
+	}
+
+	/**
+	 * Remove audit postfix from event name.
+	 * @param {string} eventName Log event name.
+	 * @return {string} Event name without audit postfix.
+	 */
+	static #normalizeEventName(eventName) {
+		if (eventName.endsWith(this.EVENT_NAME_AUDIT_POSTFIX))
+			return eventName.slice(0, -this.EVENT_NAME_AUDIT_POSTFIX.length);
+		return eventName;
 	}
 
 	/**
 	 * Set up internal logs events.
 	 */
 	#handleLogEvents() {
-		for (const eventName in this.constructor.#eventMessageRenderer) {
-			if (!this.constructor.#eventMessageRenderer.hasOwnProperty(eventName))
+		for (const eventName in this.constructor.#eventEntryRenderer) {
+			if (!this.constructor.#eventEntryRenderer.hasOwnProperty(eventName))
 				continue;
 			this.#emitter.on(eventName, (...args) => this.#handleEvent(eventName, ...args));
 		}
@@ -147,83 +211,266 @@ class LogsProcessor extends BaseDiscordModule {
 	 * @return {Promise<void>}
 	 */
 	async #handleEvent(eventName, ...args) {
-		const channel = await this.#resolveChannel(eventName, ...args);
-		if (!channel)
-			return;
-		const logMessage = this.constructor.#eventMessageRenderer[eventName]?.(...args);
-		if (channel.type !== "text")
+		/** @type {module:"discord.js".Guild} */
+		const guild = this.constructor.#guildResolver[eventName]?.(...args);
+		const [guildInstance] = await GuildModel.findOrCreate({
+			where: {
+				id: guild.id
+			}
+		});
+		const channel = this.constructor.#resolveChannel(eventName, guild, guildInstance);
+		if (!channel || channel.type !== "text")
 			return;
-		await channel.send(logMessage);
+		const lang = new Lang(guildInstance["language"]);
+		const entry = this.constructor.#eventEntryRenderer[eventName](lang, ...args);
+		const normalizedEventName = this.constructor.#normalizeEventName(eventName);
+		if (guildInstance["logs_mode"] === this.constructor.MODE_EMBED)
+			await channel.send({ embed: this.constructor.#renderEmbed(normalizedEventName, entry, lang) });
+		else
+			await channel.send(this.constructor.#renderText(normalizedEventName, entry, lang));
 	}
 
 	/**
-	 * Methods map for rendering event messages.
-	 * @type {Object<function>}
+	 * Render log entry in compact text mode.
+	 * @param {string} eventName Log event name without audit postfix.
+	 * @param {LogEntry} entry Rendered log entry.
+	 * @param {Lang} lang Guild language.
+	 * @return {string} Log message text.
+	 */
+	static #renderText(eventName, entry, lang) {
+		let header = `${this.#eventEmoji[eventName]} [${lang.get(`logs.tags.${eventName}`)}]`;
+		if (entry.executor)
+			header += " " + lang.get("logs.compact.executor", { executor: escape(entry.executor.tag) });
+		if (entry.reason !== undefined) {
+			header += " " + (
+				entry.reason?.length
+					? lang.get("logs.compact.reason", { reason: escape(entry.reason) })
+					: lang.get("logs.compact.noReason")
+			);
+		}
+		const parts = [header];
+		if (entry.user)
+			parts.push(escape(`ID: ${entry.user.id}`), escape(entry.user.tag));
+		else
+			parts.push(lang.get("logs.unknownUser"));
+		const lines = [parts.join(" | ")];
+		entry.fields?.forEach(field => {
+			const name = `**${lang.get(`logs.fields.${field.name}`)}:**`;
+			if (field.value.startsWith("```"))
+				return lines.push(`${name}\n${field.value}`);
+			// Masked links are not available in plain messages, so they are replaced with links without preview.
+			lines.push(`${name} ${field.value.replace(/\[([^\]]+)]\((\S+)\)/g, "$1 <$2>")}`);
+		});
+		return lines.join("\n");
+	}
+
+	/**
+	 * Render log entry as embed.
+	 * @param {string} eventName Log event name without audit postfix.
+	 * @param {LogEntry} entry Rendered log entry.
+	 * @param {Lang} lang Guild language.
+	 * @return {LogEmbed} Log message embed.
+	 */
+	static #renderEmbed(eventName, entry, lang) {
+		const embed = new LogEmbed(this.EVENT_COLORS[eventName], entry.user);
+		embed.setTitle(lang.get(`logs.titles.${eventName}`));
+		if (!entry.user)
+			embed.setAuthor(lang.get("logs.unknownUser"));
+		else
+			embed.setDescription(`<@${entry.user.id}>`);
+		if (entry.executor)
+			embed.addField(lang.get("logs.fields.executor"), `<@${entry.executor.id}> ${escape(entry.executor.tag)}`, true);
+		if (entry.reason !== undefined)
+			embed.addField(lang.get("logs.fields.reason"), entry.reason?.length ? entry.reason : lang.get("logs.noReason"), true);
+		entry.fields?.forEach(field => {
+			embed.addField(lang.get(`logs.fields.${field.name}`), field.value, field.inline ?? false);
+		});
+		return embed;
+	}
+
+	/**
+	 * Methods map for rendering log entries from event arguments. Every method receives guild language as the first
+	 * argument and the event arguments after it.
+	 * @type {Object<function(Lang, ...any): LogEntry>}
 	 */
-	static #eventMessageRenderer = {
+	static #eventEntryRenderer = {
 		/**
 		 * Render join event.
+		 * @param {Lang} lang Guild language.
 		 * @param {module:"discord.js".GuildMember} member Target member.
-		 * @return {string} Rendered string of member join.
+		 * @return {LogEntry} Member join entry.
 		 */
-		join: member => `:inbox_tray: [JOIN] | ${escape(`ID: ${member.id}`)} | ${escape(member.user.tag)}`,
+		join: (lang, member) => ({ user: member.user }),
 		/**
 		 * Render left event.
+		 * @param {Lang} lang Guild language.
 		 * @param {module:"discord.js".GuildMember} member Target member.
-		 * @return {string} Rendered string of member left.
+		 * @return {LogEntry} Member left entry.
 		 */
-		left: member => `:outbox_tray: [LEAVE] | ${escape(`ID: ${member.id}`)} | ${escape(member.user.tag)}`,
+		left: (lang, member) => ({ user: member.user }),
 		/**
 		 * Render rename event.
+		 * @param {Lang} lang Guild language.
 		 * @param {module:"discord.js".GuildMember} prev Previous member state.
 		 * @param {module:"discord.js".GuildMember} next Updated member state.
-		 * @return {string} Rendered string of member rename.
+		 * @return {LogEntry} Member rename entry.
 		 */
-		rename: (prev, next) => `:abc: [RENAME] | ${escape(`ID: ${prev.id}`)} | `
-			+ `${escape(prev.nickname ?? prev.user.username)} → ${escape(next.nickname ?? next.user.username)}`,
+		rename: (lang, prev, next) => ({
+			user: next.user,
+			fields: [
+				{ name: "before", value: escape(prev.nickname ?? prev.user.username), inline: true },
+				{ name: "after", value: escape(next.nickname ?? next.user.username), inline: true }
+			]
+		}),
 		/**
-		 * Render ban event with executor and reason available.
+		 * Render ban event without executor and reason available.
+		 * @param {Lang} lang Guild language.
 		 * @param {module:"discord.js".Guild} guild Target guild.
 		 * @param {module:"discord.js".User} user Target user.
-		 * @return {string} Rendered string of user banned from guild.
+		 * @return {LogEntry} User ban entry.
 		 */
-		ban: (guild, user) => `:hammer: [BAN] | ${escape(`ID: ${user.id}`)}`
-			+ ` | ${escape(user.tag)}`,
+		ban: (lang, guild, user) => ({ user }),
 		/**
-		 * Render ban event without executor and reason available.
+		 * Render ban event with executor and reason available.
+		 * @param {Lang} lang Guild language.
 		 * @param {module:"discord.js".Guild} guild Target guild.
 		 * @param {module:"discord.js".User} user Target user.
 		 * @param {module:"discord.js".GuildAuditLogsEntry} entry Audit logs entry represents this event.
-		 * @return {string} Rendered string of user banned from guild.
+		 * @return {LogEntry} User ban entry with executor and reason.
 		 */
-		banAudit: (guild, user, entry) => `:hammer: [BAN] by ${escape(entry.executor.tag)} with` + (entry.reason?.length
-			? ` reason ${escape(entry.reason)}` : " no reason") + ` | ${escape(`ID: ${user.id}`)} | ${escape(user.tag)}`,
+		banAudit: (lang, guild, user, entry) => ({ user, executor: entry.executor, reason: entry.reason ?? null }),
 		/**
 		 * Render unban event without executor and reason available.
+		 * @param {Lang} lang Guild language.
 		 * @param {module:"discord.js".Guild} guild Target guild.
 		 * @param {module:"discord.js".User} user Target user.
-		 * @return {string} Rendered string of user unbanned from guild.
+		 * @return {LogEntry} User unban entry.
 		 */
-		unban: (guild, user) => `:peace: [UNBAN] | ${escape(`ID: ${user.id}`)}`
-			+ ` | ${escape(user.tag)}`,
+		unban: (lang, guild, user) => ({ user }),
 		/**
-		 * Render unban event with executor and reason available.
+		 * Render unban event with executor available.
+		 * @param {Lang} lang Guild language.
 		 * @param {module:"discord.js".Guild} guild Target guild.
 		 * @param {module:"discord.js".User} user Target user.
 		 * @param {module:"discord.js".GuildAuditLogsEntry} entry Audit logs entry represents this event.
-		 * @return {string} Rendered string of user banned from guild.
+		 * @return {LogEntry} User unban entry with executor.
 		 */
-		unbanAudit: (guild, user, entry) => `:peace: [UNBAN] by ${escape(entry.executor.tag)}`
-			+ ` | ${escape(`ID: ${user.id}`)} | ${escape(user.tag)}`,
+		unbanAudit: (lang, guild, user, entry) => ({ user, executor: entry.executor }),
 		/**
 		 * Render kick event with executor and reason if reason is passed.
+		 * @param {Lang} lang Guild language.
 		 * @param {module:"discord.js".GuildMember} member Target member.
 		 * @param {module:"discord.js".GuildAuditLogsEntry} entry Target audit logs entry with reason and executor.
-		 * @return {string} Rendered string of member kicked from guild with executor and possible reason.
+		 * @return {LogEntry} Member kick entry with executor and reason.
+		 */
+		kick: (lang, member, entry) => ({ user: member.user, executor: entry.executor, reason: entry.reason ?? null }),
+		/**
+		 * Render message with attachments sent.
+		 * @param {Lang} lang Guild language.
+		 * @param {module:"discord.js".Message} message Target message.
+		 * @return {LogEntry} Message attachments entry.
 		 */
-		kick: (member, entry) => `:boot: [KICK] by ${escape(entry.executor.tag)} with` + (entry.reason?.length
-			? ` reason ${escape(entry.reason)}` : " no reason") + ` | ${escape(`ID: ${member.id}`)} `
-			+ `| ${escape(member.user.tag)}`,
+		msgimage: (lang, message) => ({
+			user: message.author,
+			fields: [
+				...LogsProcessor.#renderMessageFields(message),
+				{ name: "attachments", value: LogsProcessor.#renderAttachments(message) }
+			]
+		}),
+		/**
+		 * Render message update.
+		 * @param {Lang} lang Guild language.
+		 * @param {module:"discord.js".Message} prev Previous message state. May be partial.
+		 * @param {module:"discord.js".Message} next Updated message.
+		 * @return {LogEntry} Message update entry.
+		 */
+		msgupdate: (lang, prev, next) => ({
+			user: next.author,
+			fields: [
+				...LogsProcessor.#renderMessageFields(next),
+				{ name: "before", value: LogsProcessor.#renderContent(prev, lang) },
+				{ name: "after", value: LogsProcessor.#renderContent(next, lang) }
+			]
+		}),
+		/**
+		 * Render message deleting.
+		 * @param {Lang} lang Guild language.
+		 * @param {module:"discord.js".Message} message Deleted message. May be partial.
+		 * @return {LogEntry} Message delete entry.
+		 */
+		msgdelete: (lang, message) => ({
+			user: message.author,
+			fields: [
+				...LogsProcessor.#renderMessageFields(message),
+				{ name: "content", value: LogsProcessor.#renderContent(message, lang) },
+				...(message.attachments?.size
+					? [{ name: "attachments", value: LogsProcessor.#renderAttachments(message) }]
+					: [])
+			]
+		})
+	};
+
+	/**
+	 * Render message channel and ID fields.
+	 * @param {module:"discord.js".Message} message Target message. May be partial.
+	 * @return {LogEntryField[]} Message meta information fields.
+	 */
+	static #renderMessageFields(message) {
+		return [
+			{ name: "channel", value: `<#${message.channel.id}>`, inline: true },
+			{
+				name: "message",
+				value: message.deleted ? escape(message.id) : `[${escape(message.id)}](${message.url})`,
+				inline: true
+			}
+		];
+	}
+
+	/**
+	 * Render message content into code block. Long content will be cut to fit into Discord message length limit.
+	 * @param {module:"discord.js".Message} message Target message. May be partial.
+	 * @param {Lang} lang Guild language.
+	 * @return {string} Rendered content.
+	 */
+	static #renderContent(message, lang) {
+		if (message.partial)
+			return lang.get("logs.notCached");
+		if (!message.content?.length)
+			return lang.get("logs.emptyContent");
+		let content = message.content.replace(/```/g, "`\u200b``");
+		if (content.length > this.MESSAGE_CONTENT_LIMIT)
+			content = content.substr(0, this.MESSAGE_CONTENT_LIMIT) + "…";
+		return "```\n" + content + "\n```";
+	}
+
+	/**
+	 * Render list of message attachments links. Long list will be cut to fit into embed field length limit.
+	 * @param {module:"discord.js".Message} message Target message.
+	 * @return {string} Rendered attachments list.
+	 */
+	static #renderAttachments(message) {
+		let list = message.attachments
+			.map(attachment => `[${escape(attachment.name ?? attachment.id)}](${attachment.url})`)
+			.join("\n");
+		if (list.length > this.MESSAGE_CONTENT_LIMIT)
+			list = list.substr(0, list.lastIndexOf("\n", this.MESSAGE_CONTENT_LIMIT)) + "\n…";
+		return list;
+	}
+
+	/**
+	 * Emoji shown in compact text mode for every event.
+	 * @type {Object<string, string>}
+	 */
+	static #eventEmoji = {
+		join: ":inbox_tray:",
+		left: ":outbox_tray:",
+		rename: ":abc:",
+		kick: ":boot:",
+		ban: ":hammer:",
+		unban: ":peace:",
+		msgimage: ":frame_photo:",
+		msgupdate: ":pencil2:",
+		msgdelete: ":wastebasket:"
 	};
 
 	/**
@@ -278,10 +525,79 @@ class LogsProcessor extends BaseDiscordModule {
 		 * @param {module:"discord.js".GuildMember} member Target member.
 		 * @return {module:"discord.js".Guild} Resolved guild from kick event.
 		 */
-		kick: member => member.guild
+		kick: member => member.guild,
+		/**
+		 * Resolve guild from message attachments event arguments.
+		 * @param {module:"discord.js".Message} message Target message.
+		 * @return {module:"discord.js".Guild} Resolved guild from message attachments event.
+		 */
+		msgimage: message => message.guild,
+		/**
+		 * Resolve guild from message update event arguments.
+		 * @param {module:"discord.js".Message} message Previous message state.
+		 * @return {module:"discord.js".Guild} Resolved guild from message update event.
+		 */
+		msgupdate: message => message.guild,
+		/**
+		 * Resolve guild from message delete event arguments.
+		 * @param {module:"discord.js".Message} message Deleted message.
+		 * @return {module:"discord.js".Guild} Resolved guild from message delete event.
+		 */
+		msgdelete: message => message.guild
 	};
 
 	static EVENT_NAME_AUDIT_POSTFIX = "Audit";
+
+	/**
+	 * Maximal length of every message content rendered in logs. Update event contains two contents, so together with
+	 * meta information it must fit into 2000 characters message limit.
+	 * @type {number}
+	 */
+	static MESSAGE_CONTENT_LIMIT = 800;
+
+	/**
+	 * Compact text logs mode. Used by default.
+	 * @type {number}
+	 */
+	static MODE_TEXT = 0;
+
+	/**
+	 * Embed logs mode.
+	 * @type {number}
+	 */
+	static MODE_EMBED = 1;
+
+	/**
+	 * Embed colors for every event.
+	 * @type {Object<string, number>}
+	 */
+	static EVENT_COLORS = {
+		join: 0x43b581,
+		left: 0x747f8d,
+		rename: 0x7289da,
+		kick: 0xfaa61a,
+		ban: 0xf04747,
+		unban: 0x1abc9c,
+		msgimage: 0x3498db,
+		msgupdate: 0xf1c40f,
+		msgdelete: 0xe74c3c
+	};
 }
 
+/**
+ * Log entry rendered from event arguments. Used for rendering both text and embed log messages.
+ *
+ * @typedef {Object} LogEntry
+ * @property {module:"discord.js".User|null} user Target user of event. Null if user is unknown.
+ * @property {module:"discord.js".User} [executor] User who made this action, if available from audit logs.
+ * @property {string|null} [reason] Action reason from audit logs. Undefined if event can't have reason.
+ * @property {LogEntryField[]} [fields] Additional event fields.
+ */
+
+/**
+ * Additional log entry field.
+ *
+ * @typedef {{name: string, value: string, inline: boolean}} LogEntryField
+ */
+
 module.exports = LogsProcessor;
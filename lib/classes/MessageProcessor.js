@@ -1,7 +1,7 @@
 const BaseDiscordModule = require("./base/BaseDiscordModule");
 const MessageParser = require("./commands/MessageParser");
+const ResultDelivery = require("./commands/ResultDelivery");
 const ConfigManager = require("./ConfigManager");
-const { MessageEmbed } = require("discord.js");
 const log = require("./Utils").createModuleLog("MessageProcessor");
 const { GuildModel } = require("./Database");
 
@@ -22,15 +22,15 @@ class MessageProcessor extends BaseDiscordModule {
 	 * @param {module:"discord.js".Message} message
 	 */
 	async #handleMessage(message) {
-		// Ignoring news and direct channels from parsing
-		if (message.channel.type !== "text")
-			return void ("Not implemented yet!");
+		// Ignoring store channels and group direct messages from parsing
+		if (!this.constructor.SUPPORTED_CHANNEL_TYPES.includes(message.channel.type))
+			return;
 		// Ignoring any bots messages from parsing
 		if (message.author.bot)
 			return;
 		if (await this.#isMentionOnly(message))
 			return await this.#handleMention(message);
-		await this.#handleGuildMessage(message);
+		await this.#handleChannelMessage(message);
 	}
 
 	/**
@@ -39,48 +39,33 @@ class MessageProcessor extends BaseDiscordModule {
 	 * @return {Promise<*>}
 	 */
 	async #handleMention(message) {
-		const [guild] = await GuildModel.findOrCreate({
-			where: {
-				id: message.guild.id
-			}
-		});
-		message.content = `${guild["prefix"] ?? ConfigManager.get("preferences.cognitum.prefix")}about`;
-		await this.#handleGuildMessage(message);
+		const [guild] = message.guild
+			? await GuildModel.findOrCreate({
+				where: {
+					id: message.guild.id
+				}
+			})
+			: [null];
+		message.content = `${guild?.["prefix"] ?? ConfigManager.get("preferences.cognitum.prefix")}about`;
+		await this.#handleChannelMessage(message);
 	}
 
 	/**
-	 * Handle incoming message from one of the guild channels.
+	 * Handle incoming message from one of the guild channels or direct messages. Result is delivered with respect to
+	 * the bot permissions in the channel.
 	 * @param {module:"discord.js".Message} message Target message.
 	 */
-	async #handleGuildMessage(message) {
+	async #handleChannelMessage(message) {
+		const delivery = new ResultDelivery(message);
 		try {
-			await this.constructor.#handleGuildMessageResult(
-				message,
+			await delivery.deliver(
 				await new MessageParser(message).resolve()
 			);
 		} catch (e) {
 			log("error", "Failed to send command execution result!");
 			console.error(e);
-			return await message.channel.send(":warning: Unresolved command result handling error!");
-		}
-	}
-
-	/**
-	 * Handle result received from MessageParser call.
-	 * @param {module:"discord.js".Message} message
-	 * @param {any} result Target result.
-	 * @return {Promise<*>}
-	 */
-	static async #handleGuildMessageResult(message, result) {
-		try {
-			if (result instanceof MessageEmbed)
-				return await message.channel.send({ embed: result });
-			if (typeof result === "string" && result.length > 0)
-				return await message.channel.send(result);
-		} catch (e) {
-			log("error", "Failed to send command execution result!");
-			console.error(e);
-			return message.channel.send(":warning: Unresolved command result handling error!");
+			if (delivery.canSend())
+				await message.channel.send(":warning: Unresolved command result handling error!").catch(() => null);
 		}
 	}
 
@@ -92,6 +77,12 @@ class MessageProcessor extends BaseDiscordModule {
 	async #isMentionOnly(message) {
 		return [`<@${this.client.user.id}>`, `<@!${this.client.user.id}>`].includes(message.content);
 	}
+
+	/**
+	 * Types of channels, messages from which are parsed.
+	 * @type {string[]}
+	 */
+	static SUPPORTED_CHANNEL_TYPES = ["text", "news", "dm"];
 }
 
 module.exports = MessageProcessor;
@@ -104,6 +104,18 @@ class Utils {
 		return result.join(" ");
 	}
 
+	/**
+	 * Format date as UTC timestamp string used in statistics tables.
+	 * @param {Date} date Target date.
+	 * @return {string} Timestamp string in format `YYYY-MM-DD HH:MM:SS`.
+	 * @example
+	 * toDatabaseTimestamp(new Date(0));
+	 * // "1970-01-01 00:00:00"
+	 */
+	static toDatabaseTimestamp(date) {
+		return date.toISOString().replace("T", " ").substr(0, 19);
+	}
+
 	/**
 	 * Escape special markdown symbol "`" and wrapping this string into code block (with single quote).
 	 * @param {string} value Original string.
@@ -115,6 +127,13 @@ class Utils {
 			return "";
 		return `\`${escaped}\``;
 	}
+
+	/**
+	 * Signal for reloading commands, categories and language packs. Sharding manager passes it to all shards as reload
+	 * request, standalone client handles it by itself.
+	 * @type {string}
+	 */
+	static RELOAD_SIGNAL = "SIGHUP";
 }
 
 module.exports = Utils;
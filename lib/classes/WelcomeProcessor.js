@@ -0,0 +1,205 @@
+const BaseDiscordModule = require("./base/BaseDiscordModule");
+const Config = require("./ConfigManager");
+const Lang = require("./localization/Lang");
+const LogEmbed = require("./embed/LogEmbed");
+const { GuildModel } = require("./Database");
+const log = require("./Utils").createModuleLog("WelcomeProcessor");
+
+/**
+ * # Welcome Processor
+ *
+ * This module greets new members in the welcome channel and handles verification of newcomers by welcome managers.
+ *
+ * ## Verification flow
+ *
+ * 1. Member joins the guild with enabled welcome feature;
+ * 2. Templated welcome message is sent to the welcome channel with manager role ping and verification embed;
+ * 3. Welcome manager reacts on the message or calls `welcome verify` command;
+ * 4. Newcomer receives verified role.
+ */
+class WelcomeProcessor extends BaseDiscordModule {
+	/**
+	 * Initialize welcome processor module.
+	 * @return {Promise<WelcomeProcessor>}
+	 */
+	async initialize() {
+		this.client.on("guildMemberAdd", member => this.#handleMemberJoin(member).catch(e => {
+			log("error", `Failed to welcome member ${member.id} in guild ${member.guild.id}!`);
+			console.error(e);
+		}));
+		this.client.on("messageReactionAdd", (reaction, user) => this.#handleReaction(reaction, user).catch(e => {
+			log("error", "Failed to handle verification reaction!");
+			console.error(e);
+		}));
+		return this;
+	}
+
+	/**
+	 * Send welcome message for the new member.
+	 * @param {module:"discord.js".GuildMember} member New guild member.
+	 * @return {Promise<void>}
+	 */
+	async #handleMemberJoin(member) {
+		if (member.user.bot)
+			return;
+		const [guildInstance] = await GuildModel.findOrCreate({
+			where: {
+				id: member.guild.id
+			}
+		});
+		if (guildInstance["welcome_mode"] !== this.constructor.MODE_ENABLED || !guildInstance["welcome_channel"])
+			return;
+		const channel = member.guild.channels.cache.get(guildInstance["welcome_channel"].toString());
+		if (!channel || channel.type !== "text")
+			return;
+		const lang = new Lang(guildInstance["language"]);
+		let content = this.constructor.renderMessage(
+			guildInstance["welcome_message"] ?? lang.get("welcome.defaultMessage"),
+			member
+		);
+		if (!guildInstance["welcome_verified_role"])
+			return void await channel.send(content);
+		if (guildInstance["welcome_manager_role"])
+			content += `\n<@&${guildInstance["welcome_manager_role"]}>`;
+		const embed = new LogEmbed(this.constructor.COLOR_PENDING, member.user);
+		embed.setTitle(
+			lang.get("welcome.verification.title")
+		).setDescription(
+			lang.get("welcome.verification.description", {
+				emoji: this.constructor.VERIFICATION_EMOJI,
+				prefix: guildInstance["prefix"] ?? Config.get("preferences.cognitum.prefix"),
+				memberId: member.id
+			})
+		);
+		const message = await channel.send(content, { embed });
+		await message.react(this.constructor.VERIFICATION_EMOJI);
+	}
+
+	/**
+	 * Handle reactions on welcome messages. Verification is performed only if reaction added by welcome manager.
+	 * @param {module:"discord.js".MessageReaction} reaction Added reaction. May be partial.
+	 * @param {module:"discord.js".User} user Reaction author. May be partial.
+	 * @return {Promise<void>}
+	 */
+	async #handleReaction(reaction, user) {
+		if (user.id === this.client.user.id || reaction.emoji.name !== this.constructor.VERIFICATION_EMOJI)
+			return;
+		if (reaction.message.partial)
+			await reaction.message.fetch();
+		const message = reaction.message;
+		if (!message.guild || message.author.id !== this.client.user.id)
+			return;
+		const newcomerId = /^ID: (\d+)$/.exec(message.embeds[0]?.footer?.text ?? "")?.[1];
+		if (!newcomerId)
+			return;
+		const [guildInstance] = await GuildModel.findOrCreate({
+			where: {
+				id: message.guild.id
+			}
+		});
+		if (
+			guildInstance["welcome_mode"] !== this.constructor.MODE_ENABLED
+			|| guildInstance["welcome_channel"]?.toString() !== message.channel.id
+		) {
+			return;
+		}
+		const manager = await message.guild.members.fetch(user.id);
+		if (manager.user.bot || !this.constructor.isManager(manager, guildInstance))
+			return;
+		const newcomer = await message.guild.members.fetch(newcomerId).catch(() => null);
+		if (!newcomer)
+			return;
+		await this.constructor.verify(newcomer, guildInstance);
+		await this.constructor.markVerified(message, manager, new Lang(guildInstance["language"]));
+	}
+
+	/**
+	 * Check is this member allowed to verify newcomers. Administrators are always allowed.
+	 * @param {module:"discord.js".GuildMember} member Target member.
+	 * @param {GuildModel} guildInstance Guild database instance.
+	 * @return {boolean}
+	 */
+	static isManager(member, guildInstance) {
+		if (member.hasPermission("ADMINISTRATOR"))
+			return true;
+		return !!guildInstance["welcome_manager_role"]
+			&& member.roles.cache.has(guildInstance["welcome_manager_role"].toString());
+	}
+
+	/**
+	 * Give verified role to the newcomer.
+	 * @param {module:"discord.js".GuildMember} member Target member.
+	 * @param {GuildModel} guildInstance Guild database instance.
+	 * @return {Promise<boolean>} False if member is already verified.
+	 * @throws {Error} If verified role is not set or not exists anymore.
+	 */
+	static async verify(member, guildInstance) {
+		const role = guildInstance["welcome_verified_role"]
+			? member.guild.roles.cache.get(guildInstance["welcome_verified_role"].toString())
+			: null;
+		if (!role)
+			throw new Error("Verified role is not set or not exists!");
+		if (member.roles.cache.has(role.id))
+			return false;
+		await member.roles.add(role);
+		return true;
+	}
+
+	/**
+	 * Update verification embed of the welcome message after verification.
+	 * @param {module:"discord.js".Message} message Welcome message.
+	 * @param {module:"discord.js".GuildMember} manager Member who verified newcomer.
+	 * @param {Lang} lang Guild language.
+	 * @return {Promise<void>}
+	 */
+	static async markVerified(message, manager, lang) {
+		const [embed] = message.embeds;
+		if (!embed || embed.color === this.COLOR_VERIFIED)
+			return;
+		embed.setColor(this.COLOR_VERIFIED).setDescription(
+			lang.get("welcome.verification.verified", {
+				managerId: manager.id
+			})
+		);
+		await message.edit(message.content, { embed });
+	}
+
+	/**
+	 * Render welcome message template.
+	 *
+	 * Available replacements:
+	 * + `%member%` — newcomer mention;
+	 * + `%username%` — newcomer username;
+	 * + `%guild%` — guild name;
+	 * + `%memberCount%` — amount of guild members.
+	 * @param {string} template Welcome message template.
+	 * @param {module:"discord.js".GuildMember} member Target member.
+	 * @return {string} Rendered message.
+	 */
+	static renderMessage(template, member) {
+		const replacements = {
+			member: `<@${member.id}>`,
+			username: member.user.username,
+			guild: member.guild.name,
+			memberCount: member.guild.memberCount.toString()
+		};
+		return template.replace(/%([A-Za-z]+)%/g, (match, code) => {
+			if (replacements.hasOwnProperty(code))
+				return replacements[code];
+			return match;
+		});
+	}
+
+	static MODE_DISABLED = 0;
+	static MODE_ENABLED = 1;
+	static VERIFICATION_EMOJI = "✅";
+	static COLOR_PENDING = 0xF1C40F;
+	static COLOR_VERIFIED = 0x2ECC71;
+	/**
+	 * Maximal length of the welcome message template. Leaves space for the manager role ping.
+	 * @type {number}
+	 */
+	static TEMPLATE_LENGTH_LIMIT = 1900;
+}
+
+module.exports = WelcomeProcessor;
@@ -1,4 +1,6 @@
 const CommandContextValidator = require("../validation/CommandContextValidator.js");
+const GuildOnlyError = require("../errors/GuildOnlyError.js");
+const ArgumentsResolver = require("../commands/ArgumentsResolver.js");
 
 /**
  * # Base Command
@@ -20,6 +22,12 @@ class BaseCommand {
 	 */
 	#context;
 
+	/**
+	 * Parameters resolved from declarations of the command.
+	 * @type {Object<string, *>}
+	 */
+	#params = {};
+
 	/**
 	 * @param {CommandContext} context
 	 */
@@ -45,11 +53,14 @@ class BaseCommand {
 	}
 
 	/**
-	 * Validate command context before calling command.
+	 * Validate command context before calling command. Commands not allowed in direct messages are rejected there.
+	 * Declared parameters are resolved after validators.
 	 * @return {Promise<boolean>} Validation result.
 	 * @throws BaseError
 	 */
 	async validate() {
+		if (this.context.isDirect() && !this.constructor.isDmAllowed())
+			throw new GuildOnlyError("Command is not available in direct messages!");
 		if (
 			this.constructor?.validators
 			&& typeof this.constructor?.validators === "object"
@@ -57,6 +68,11 @@ class BaseCommand {
 			const validator = new CommandContextValidator(this.context, this.constructor.validators);
 			await validator.validate();
 		}
+		if (this.constructor.parameters || this.constructor.flags)
+			this.#params = await new ArgumentsResolver(this.context).resolve(
+				this.constructor.parameters,
+				this.constructor.flags
+			);
 		return true;
 	}
 
@@ -86,6 +102,14 @@ class BaseCommand {
 		return this.context.getArgs();
 	}
 
+	/**
+	 * Parameters resolved from declared arguments and flags. Available after validation.
+	 * @return {Object<string, *>}
+	 */
+	get params() {
+		return this.#params;
+	}
+
 	/**
 	 * Command name. Used for calling command in chat.
 	 * @type {string}
@@ -136,6 +160,31 @@ class BaseCommand {
 	 */
 	static validators;
 
+	/**
+	 * Typed positional parameters. Can be grouped by subcommand, then key is the first argument and declarations are
+	 * applied to the arguments after it.
+	 * @type {Cognitum.ArgumentDeclaration[]|Object<string, Cognitum.ArgumentDeclaration[]>}
+	 */
+	static parameters;
+
+	/**
+	 * Typed flags. Key is flag name.
+	 * @type {Object<string, Cognitum.ArgumentDeclaration>}
+	 */
+	static flags;
+
+	/**
+	 * Limit of command calls. Checked before validation, see {@link CooldownManager}.
+	 * @type {Cognitum.CommandCooldown}
+	 */
+	static cooldown;
+
+	/**
+	 * Is command available in direct messages. Commands are available only in guild channels by default.
+	 * @type {boolean}
+	 */
+	static dmAllowed = false;
+
 	/**
 	 * Get command code.
 	 * @return {string} Command code.
@@ -205,6 +254,22 @@ class BaseCommand {
 		return this.category;
 	}
 
+	/**
+	 * Get limit of command calls.
+	 * @return {Cognitum.CommandCooldown|null} Cooldown options or null if command has no own limit.
+	 */
+	static getCooldown() {
+		return this.cooldown ?? null;
+	}
+
+	/**
+	 * Check is command available in direct messages.
+	 * @return {boolean}
+	 */
+	static isDmAllowed() {
+		return this.dmAllowed === true;
+	}
+
 	/**
 	 * Validate command class required metadata for availability.
 	 * @return {boolean} Result of validation.
@@ -0,0 +1,21 @@
+/**
+ * Base class for message scoring rules. Rules are applied one by one by {@link ScoringPipeline}, every rule receives
+ * score calculated by previous rules.
+ * @interface
+ */
+class BaseScoringRule {
+	/**
+	 * Apply rule to the message score.
+	 * @param {number} score Score calculated by previous rules.
+	 * @param {module:"discord.js".Message} message Scored message.
+	 * @param {Cognitum.ScoringContext} context Database instances of the message and scoring flags.
+	 * @return {number} New score.
+	 * @abstract
+	 */
+	// eslint-disable-next-line no-unused-vars
+	apply(score, message, context) {
+		throw new Error("Scoring rule not implemented!");
+	}
+}
+
+module.exports = BaseScoringRule;
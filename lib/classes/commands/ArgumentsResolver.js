@@ -0,0 +1,250 @@
+const ArgumentError = require("../errors/ArgumentError.js");
+const GuildOnlyError = require("../errors/GuildOnlyError.js");
+const TimeStringError = require("../errors/TimeStringError.js");
+
+/**
+ * # Arguments Resolver
+ *
+ * Resolves typed parameters declared by command from context arguments and flags. Mentions and IDs are resolved into
+ * Discord structures, numbers and durations are parsed and checked.
+ * @example
+ * const resolver = new ArgumentsResolver(context);
+ * await resolver.resolve([
+ * 	{ name: "channel", type: "voiceChannel" },
+ * 	{ name: "limit", type: "integer", min: 1, max: 10, optional: true }
+ * ]);
+ * // { channel: <VoiceChannel>, limit: null }
+ */
+class ArgumentsResolver {
+	/**
+	 * Command context.
+	 * @type {CommandContext}
+	 */
+	#context;
+
+	/**
+	 * @param {CommandContext} context Command context.
+	 */
+	constructor(context) {
+		this.#context = context;
+	}
+
+	/**
+	 * Resolve declared parameters. Positional declarations can be grouped by subcommand: in this case key of the object
+	 * is the first argument and declarations are applied to the arguments after it. Rest parameter takes raw content of
+	 * the arguments which are not required by the parameters after it, single argument is taken without quotes. Missing
+	 * optional parameters and flags are resolved into null.
+	 * @param {Cognitum.ArgumentDeclaration[]|Object<string, Cognitum.ArgumentDeclaration[]>} [declarations] Positional
+	 *     parameters declarations.
+	 * @param {Object<string, Cognitum.ArgumentDeclaration>} [flagDeclarations] Flags declarations, key is flag name.
+	 * @return {Promise<Object<string, *>>} Resolved parameters by names.
+	 * @throws {BaseError}
+	 */
+	async resolve(declarations, flagDeclarations) {
+		const params = {};
+		let args = this.#context.getArgs();
+		let offset = 0;
+		if (declarations && !(declarations instanceof Array)) {
+			declarations = declarations.hasOwnProperty(args[0]) ? declarations[args[0]] : [];
+			args = args.slice(1);
+			offset = 1;
+		}
+		let argIndex = 0;
+		for (let i = 0; i < (declarations?.length ?? 0); i++) {
+			const declaration = declarations[i];
+			const index = argIndex + offset + 1;
+			const end = declaration.rest
+				? Math.max(args.length - (declarations.length - i - 1), argIndex)
+				: argIndex + 1;
+			let value;
+			if (end - argIndex > 1)
+				value = this.#getRawArguments(argIndex + offset, end + offset);
+			else if (end > argIndex)
+				value = args[argIndex];
+			argIndex = end;
+			if (value === undefined || value === "") {
+				if (!declaration.optional)
+					throw new ArgumentError("missing", {
+						argumentName: declaration.name
+					});
+				params[declaration.name] = null;
+				continue;
+			}
+			params[declaration.name] = await this.#resolveValue(declaration, value, index);
+		}
+		const flags = this.#context.getFlags();
+		for (const name in flagDeclarations ?? {}) {
+			if (!flagDeclarations.hasOwnProperty(name))
+				continue;
+			params[name] = flags.hasOwnProperty(name)
+				? await this.#resolveValue({ name, ...flagDeclarations[name] }, flags[name], `--${name}`)
+				: null;
+		}
+		return params;
+	}
+
+	/**
+	 * Get raw content of the arguments range.
+	 * @param {number} start Index of the first argument.
+	 * @param {number} end Index after the last argument.
+	 * @return {string}
+	 */
+	#getRawArguments(start, end) {
+		const content = this.#context.getRemainder(start);
+		const tail = this.#context.getRemainder(end);
+		return tail === null ? content : content.slice(0, content.length - tail.length).trimEnd();
+	}
+
+	/**
+	 * Resolve value of one parameter.
+	 * @param {Cognitum.ArgumentDeclaration} declaration Parameter declaration.
+	 * @param {string|boolean} value Passed value. Flags passed without value are `true`.
+	 * @param {number|string} index Number of the argument or name of the flag for error messages.
+	 * @return {Promise<*>}
+	 * @throws {BaseError}
+	 */
+	async #resolveValue(declaration, value, index) {
+		if (value === true)
+			return declaration.type === "boolean" ? true : this.constructor.#throwInvalid(declaration, index);
+		switch (declaration.type) {
+		case "member":
+			return await this.#resolveMember(declaration, value);
+		case "role":
+			return this.#getGuild().roles.cache.get(this.constructor.#parseId(value, /^<@&(\d+)>$/))
+				?? this.constructor.#throwInvalid(declaration, value);
+		case "textChannel":
+		case "voiceChannel":
+			return this.#resolveChannel(declaration, value);
+		case "duration":
+			return this.constructor.#parseDuration(declaration, value);
+		case "integer":
+			return this.constructor.#parseInteger(declaration, value, index);
+		case "enum":
+			if (!declaration.values.includes(value.toLowerCase()))
+				throw new ArgumentError("valueList", {
+					argumentPassed: value,
+					argumentExpectedList: `\`${declaration.values.join("`, `")}\``
+				});
+			return value.toLowerCase();
+		case "boolean":
+			if (!/^(true|false)$/i.test(value))
+				this.constructor.#throwInvalid(declaration, value);
+			return value.toLowerCase() === "true";
+		case "text":
+			return value;
+		default:
+			throw new Error(`Unknown type "${declaration.type}" of "${declaration.name}" parameter!`);
+		}
+	}
+
+	/**
+	 * Get guild of the current context.
+	 * @return {module:"discord.js".Guild}
+	 * @throws {GuildOnlyError}
+	 */
+	#getGuild() {
+		const guild = this.#context.getMessage().guild;
+		if (!guild)
+			throw new GuildOnlyError("Guild parameters can't be resolved in direct messages!");
+		return guild;
+	}
+
+	/**
+	 * Resolve guild member from mention or ID.
+	 * @param {Cognitum.ArgumentDeclaration} declaration Parameter declaration.
+	 * @param {string} value Member mention or ID.
+	 * @return {Promise<module:"discord.js".GuildMember>}
+	 * @throws {ArgumentError}
+	 */
+	async #resolveMember(declaration, value) {
+		const id = this.constructor.#parseId(value, /^<@!?(\d+)>$/);
+		const member = id ? await this.#getGuild().members.fetch(id).catch(() => null) : null;
+		return member ?? this.constructor.#throwInvalid(declaration, value);
+	}
+
+	/**
+	 * Resolve guild channel from mention or ID. Text parameters accept text and news channels.
+	 * @param {Cognitum.ArgumentDeclaration} declaration Parameter declaration.
+	 * @param {string} value Channel mention or ID.
+	 * @return {module:"discord.js".GuildChannel}
+	 * @throws {ArgumentError}
+	 */
+	#resolveChannel(declaration, value) {
+		const types = declaration.type === "voiceChannel" ? ["voice"] : ["text", "news"];
+		const channel = this.#getGuild().channels.cache.get(this.constructor.#parseId(value, /^<#(\d+)>$/));
+		if (!channel || !types.includes(channel.type))
+			this.constructor.#throwInvalid(declaration, value);
+		return channel;
+	}
+
+	/**
+	 * Parse Discord ID from mention or raw ID.
+	 * @param {string} value Mention or ID.
+	 * @param {RegExp} mention Mention format with ID in the first group.
+	 * @return {string|null}
+	 */
+	static #parseId(value, mention) {
+		if (/^\d+$/.test(value))
+			return value;
+		return mention.exec(value)?.[1] ?? null;
+	}
+
+	/**
+	 * Parse duration string in format `1d2h3m4s` into seconds and check its maximal value.
+	 * @param {Cognitum.ArgumentDeclaration} declaration Parameter declaration.
+	 * @param {string} value Duration string.
+	 * @return {number} Amount of seconds.
+	 * @throws {TimeStringError}
+	 */
+	static #parseDuration(declaration, value) {
+		const parsed = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/i.exec(value);
+		if (!parsed)
+			throw new TimeStringError("notParsed");
+		const seconds = (parseInt(parsed[1]) || 0) * 86400
+			+ (parseInt(parsed[2]) || 0) * 3600
+			+ (parseInt(parsed[3]) || 0) * 60
+			+ (parseInt(parsed[4]) || 0);
+		if (seconds <= 0)
+			throw new TimeStringError("zeroTime");
+		if (seconds > (declaration.max ?? Infinity))
+			throw new TimeStringError("tooLong");
+		return seconds;
+	}
+
+	/**
+	 * Parse integer and check its range.
+	 * @param {Cognitum.ArgumentDeclaration} declaration Parameter declaration.
+	 * @param {string} value Passed value.
+	 * @param {number|string} index Number of the argument or name of the flag.
+	 * @return {number}
+	 * @throws {ArgumentError}
+	 */
+	static #parseInteger(declaration, value, index) {
+		if (!/^-?\d+$/.test(value))
+			this.#throwInvalid(declaration, value);
+		const number = parseInt(value);
+		if (number < (declaration.min ?? -Infinity) || number > (declaration.max ?? Infinity))
+			throw new ArgumentError("range", {
+				argumentIndex: index.toString(),
+				argumentPassed: value,
+				minValue: (declaration.min ?? -Infinity).toString(),
+				maxValue: (declaration.max ?? Infinity).toString()
+			});
+		return number;
+	}
+
+	/**
+	 * Throw error about invalid parameter value.
+	 * @param {Cognitum.ArgumentDeclaration} declaration Parameter declaration.
+	 * @param {string} value Passed value.
+	 * @throws {ArgumentError}
+	 */
+	static #throwInvalid(declaration, value) {
+		throw new ArgumentError(`types.${declaration.type}`, {
+			argumentName: declaration.name,
+			argumentPassed: value
+		});
+	}
+}
+
+module.exports = ArgumentsResolver;
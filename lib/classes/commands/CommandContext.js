@@ -21,6 +21,18 @@ class CommandContext {
 	 */
 	#args;
 
+	/**
+	 * Flags passed in format `--name value`.
+	 * @type {Object<string, string|boolean>}
+	 */
+	#flags;
+
+	/**
+	 * Raw content from each argument to the end of the last argument.
+	 * @type {string[]}
+	 */
+	#remainders;
+
 	/**
 	 * Selected language pack.
 	 * @type {Lang}
@@ -39,12 +51,16 @@ class CommandContext {
 	 * @param {string} options.prefix Resolved prefix.
 	 * @param {Lang} options.language Resolved localization class instance.
 	 * @param {string[]} options.args Command execution arguments.
+	 * @param {Object<string, string|boolean>} [options.flags={}] Command execution flags.
+	 * @param {string[]} [options.remainders=[]] Raw content from each argument to the end of the last argument.
 	 * @param {Cognitum.ContextModelsInstances} options.databaseInstances Map of database instances.
 	 */
-	constructor({ message, prefix, language, args, databaseInstances }) {
+	constructor({ message, prefix, language, args, flags = {}, remainders = [], databaseInstances }) {
 		this.#message = message;
 		this.#prefix = prefix;
 		this.#args = args;
+		this.#flags = flags;
+		this.#remainders = remainders;
 		this.#lang = language;
 		this.#databaseInstances = databaseInstances;
 	}
@@ -65,6 +81,23 @@ class CommandContext {
 		return this.#args;
 	}
 
+	/**
+	 * Get current context flags. Flags passed without value are `true`.
+	 * @return {Object<string, string|boolean>}
+	 */
+	getFlags() {
+		return this.#flags;
+	}
+
+	/**
+	 * Get raw content of the message starting from the argument. Quotes, whitespaces and line breaks are kept as typed.
+	 * @param {number} index Index of the first argument.
+	 * @return {string|null} Raw content or null if argument is not passed.
+	 */
+	getRemainder(index) {
+		return this.#remainders[index] ?? null;
+	}
+
 	/**
 	 * Get current language pack.
 	 * @return {Lang}
@@ -89,9 +122,18 @@ class CommandContext {
 		return _.clone(this.#databaseInstances);
 	}
 
+	/**
+	 * Check is this context created for the message sent in direct messages. Guild, member and channel instances are not
+	 * available in direct messages.
+	 * @return {boolean}
+	 */
+	isDirect() {
+		return this.#message.channel.type === "dm";
+	}
+
 	/**
 	 * Get guild database instance
-	 * @return {GuildModel}
+	 * @return {GuildModel|null} Guild instance or null in direct messages.
 	 */
 	getGuildInstance() {
 		return this.#databaseInstances.guild;
@@ -107,7 +149,7 @@ class CommandContext {
 
 	/**
 	 * Get guild member database instance.
-	 * @return {GuildMemberModel}
+	 * @return {GuildMemberModel|null} Member instance or null in direct messages.
 	 */
 	getMemberInstance() {
 		return this.#databaseInstances.member;
@@ -115,7 +157,7 @@ class CommandContext {
 
 	/**
 	 * Get guild channel database instance.
-	 * @return {GuildChannelModel}
+	 * @return {GuildChannelModel|null} Channel instance or null in direct messages.
 	 */
 	getChannelInstance() {
 		return this.#databaseInstances.channel;
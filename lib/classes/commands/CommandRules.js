@@ -0,0 +1,160 @@
+const CommandRestrictedError = require("../errors/CommandRestrictedError.js");
+const { CommandRuleModel } = require("../Database.js");
+
+/**
+ * # Command Rules
+ *
+ * Guild rules of commands calling. Rules can be applied to all commands, to category or to one command:
+ *
+ * + Disabled commands can't be called by anyone;
+ * + If there are allowed channels, commands can be called only in them;
+ * + Commands can't be called in denied channels;
+ * + If there are required roles, caller must have at least one of them.
+ *
+ * Channel and role rules are not applied to administrators. Commands from exempt list can't be restricted, so
+ * administrators can't lock themselves out of rules management.
+ * @example
+ * const rules = await CommandRules.load(message.guild.id);
+ * rules.check(TopCommand, message);
+ */
+class CommandRules {
+	/**
+	 * Rules of the guild.
+	 * @type {CommandRuleModel[]}
+	 */
+	#rules;
+
+	/**
+	 * @param {CommandRuleModel[]} rules Rules of the guild.
+	 */
+	constructor(rules) {
+		this.#rules = rules;
+	}
+
+	/**
+	 * Load rules of the guild.
+	 * @param {string} guildId Discord ID of the guild.
+	 * @return {Promise<CommandRules>}
+	 */
+	static async load(guildId) {
+		return new this(
+			await CommandRuleModel.findAll({
+				where: {
+					id_guild: guildId
+				},
+				order: [["id", "ASC"]]
+			})
+		);
+	}
+
+	/**
+	 * Get all rules of the guild.
+	 * @return {CommandRuleModel[]}
+	 */
+	getRules() {
+		return this.#rules;
+	}
+
+	/**
+	 * Check is command disabled by one of the rules.
+	 * @param {typeof BaseCommand} TargetCommand Command class.
+	 * @return {boolean}
+	 */
+	isDisabled(TargetCommand) {
+		return this.#getApplicable(TargetCommand, this.constructor.RULE_DISABLED).length > 0;
+	}
+
+	/**
+	 * Check is command allowed to be called by the message.
+	 * @param {typeof BaseCommand} TargetCommand Command class.
+	 * @param {module:"discord.js".Message} message Calling message.
+	 * @throws {CommandRestrictedError}
+	 */
+	check(TargetCommand, message) {
+		if (this.isDisabled(TargetCommand))
+			throw new CommandRestrictedError("Command is disabled!", "disabled", {
+				commandName: TargetCommand.getCode()
+			});
+		if (message.member?.permissions.has("ADMINISTRATOR"))
+			return;
+		const allowed = this.#getApplicable(TargetCommand, this.constructor.RULE_ALLOWED_CHANNEL)
+			.map(rule => rule["value"].toString());
+		if (allowed.length && !allowed.includes(message.channel.id))
+			throw new CommandRestrictedError("Command is not allowed in this channel!", "allowedChannels", {
+				channels: [...new Set(allowed)].map(id => `<#${id}>`).join(", ")
+			});
+		const denied = this.#getApplicable(TargetCommand, this.constructor.RULE_DENIED_CHANNEL)
+			.map(rule => rule["value"].toString());
+		if (denied.includes(message.channel.id))
+			throw new CommandRestrictedError("Command is denied in this channel!", "deniedChannel", {
+				commandName: TargetCommand.getCode()
+			});
+		const roles = this.#getApplicable(TargetCommand, this.constructor.RULE_REQUIRED_ROLE)
+			.map(rule => rule["value"].toString());
+		if (roles.length && !roles.some(id => message.member?.roles.cache.has(id)))
+			throw new CommandRestrictedError("Caller is missing required role!", "requiredRoles", {
+				roles: [...new Set(roles)].map(id => `<@&${id}>`).join(", ")
+			});
+	}
+
+	/**
+	 * Get rules of the type applied to the command.
+	 * @param {typeof BaseCommand} TargetCommand Command class.
+	 * @param {number} type Type of the rules.
+	 * @return {CommandRuleModel[]}
+	 */
+	#getApplicable(TargetCommand, type) {
+		if (this.constructor.EXEMPT_COMMANDS.includes(TargetCommand.getCode()))
+			return [];
+		return this.#rules.filter(rule => rule["type"] === type && (
+			rule["scope"] === this.constructor.SCOPE_ALL
+			|| rule["scope"] === this.constructor.SCOPE_CATEGORY && rule["target"] === TargetCommand.getCategory()
+			|| rule["scope"] === this.constructor.SCOPE_COMMAND && rule["target"] === TargetCommand.getCode()
+		));
+	}
+
+	/**
+	 * Rule is applied to all commands.
+	 * @type {number}
+	 */
+	static SCOPE_ALL = 0;
+	/**
+	 * Rule is applied to all commands of the category.
+	 * @type {number}
+	 */
+	static SCOPE_CATEGORY = 1;
+	/**
+	 * Rule is applied to one command.
+	 * @type {number}
+	 */
+	static SCOPE_COMMAND = 2;
+
+	/**
+	 * Command can't be called.
+	 * @type {number}
+	 */
+	static RULE_DISABLED = 1;
+	/**
+	 * Command can be called only in this channel or other allowed ones.
+	 * @type {number}
+	 */
+	static RULE_ALLOWED_CHANNEL = 2;
+	/**
+	 * Command can't be called in this channel.
+	 * @type {number}
+	 */
+	static RULE_DENIED_CHANNEL = 3;
+	/**
+	 * Command can be called only by members with this role or other required ones.
+	 * @type {number}
+	 */
+	static RULE_REQUIRED_ROLE = 4;
+
+	/**
+	 * Codes of commands which can't be restricted.
+	 * @type {string[]}
+	 */
+	static EXEMPT_COMMANDS = ["commands"];
+}
+
+module.exports = CommandRules;
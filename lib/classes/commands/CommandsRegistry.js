@@ -1,4 +1,5 @@
 const fs = require("fs").promises;
+const path = require("path");
 const { fileExtension, createModuleLog } = require("../Utils.js");
 const log = createModuleLog("Commands");
 const BaseCommand = require("../base/BaseCommand.js");
@@ -35,6 +36,58 @@ class CommandsRegistry {
 	 */
 	static async initialize() {
 		log("info", "Commands system initialization...");
+		try {
+			this.#apply(await this.#load());
+		} catch (error) {
+			log("error", error.message);
+			process.exit();
+		}
+	}
+
+	/**
+	 * Reload all categories and commands. Cached modules from categories and commands directories are cleared, so
+	 * changed files are loaded again. Current commands stay active if loading is failed.
+	 * @return {Promise<void>}
+	 * @throws {Error} If loading of any category or command is failed.
+	 */
+	static async reload() {
+		log("info", "Reloading commands...");
+		this.#clearCache();
+		this.#apply(await this.#load());
+		log("success", "Commands reloaded!");
+	}
+
+	/**
+	 * Replace current commands, aliases and categories with loaded ones.
+	 * @param {CommandsRegistryContent} content Loaded registry content.
+	 */
+	static #apply(content) {
+		this.commands = content.commands;
+		this.aliases = content.aliases;
+		this.categories = content.categories;
+	}
+
+	/**
+	 * Remove modules of categories and commands from require cache.
+	 */
+	static #clearCache() {
+		const directories = [
+			path.resolve(process.cwd(), "lib", "categories") + path.sep,
+			path.resolve(process.cwd(), "lib", "commands") + path.sep
+		];
+		Object.keys(require.cache)
+			.filter(modulePath => directories.some(directory => modulePath.startsWith(directory)))
+			.forEach(modulePath => delete require.cache[modulePath]);
+	}
+
+	/**
+	 * Load all categories and commands into new registry content.
+	 * @return {Promise<CommandsRegistryContent>}
+	 * @throws {Error} If category or command can't be loaded or conflicts with already loaded one.
+	 */
+	static async #load() {
+		/** @type {CommandsRegistryContent} */
+		const content = { commands: {}, aliases: {}, categories: {} };
 		log("log", "Loading categories...");
 		const categoriesDirectory = await fs.readdir(process.cwd() + "/lib/categories");
 		categoriesDirectory.forEach(filename => {
@@ -48,11 +101,9 @@ class CommandsRegistry {
 			if (!(Category.prototype instanceof BaseCategory))
 				return;
 			const code = Category.getCode();
-			if (this.categories.hasOwnProperty(code)) {
-				log("error", "Category with following code already exist: " + code + "!");
-				process.exit();
-			}
-			this.categories[code] = Category;
+			if (content.categories.hasOwnProperty(code))
+				throw new Error("Category with following code already exist: " + code + "!");
+			content.categories[code] = Category;
 			log("success", `Category successfully loaded: ${code}!`);
 		});
 		log("log", "Loading commands...");
@@ -79,47 +130,44 @@ class CommandsRegistry {
 				const extension = fileExtension(basename);
 				if (extension !== "js")
 					return;
-				this.#loadCommandFromPath(`../../commands/${directory.name}/${basename}`);
+				this.#loadCommandFromPath(`../../commands/${directory.name}/${basename}`, content);
 			});
 		});
+		return content;
 	}
 
 	/**
 	 * Load command class from selected path.
 	 * @param {string} requirePath Path for require.
+	 * @param {CommandsRegistryContent} content Registry content for storing command and its aliases.
+	 * @throws {Error} If command can't be loaded or conflicts with already loaded command.
 	 */
-	static #loadCommandFromPath(requirePath) {
+	static #loadCommandFromPath(requirePath, content) {
 		let CommandClass;
 		try {
 			CommandClass = require(requirePath);
 		} catch (e) {
 			log("error", "Command loading failed! Error details:");
 			console.dir(e);
-			process.exit();
+			throw new Error(`Command loading failed: ${requirePath}!`);
 		}
 		if (!CommandClass || !(CommandClass.prototype instanceof BaseCommand))
 			return;
 		const code = CommandClass.getCode();
-		if (!CommandClass.validateMetaInformation()) {
-			log("error", `Command validation failed for ${code} command!`);
-			process.exit();
-		}
-		if (this.commands.hasOwnProperty(code)) {
-			log("error", "Command with following code already available: " + code + "!");
-			process.exit();
-		}
-		this.commands[code] = CommandClass;
+		if (!CommandClass.validateMetaInformation())
+			throw new Error(`Command validation failed for ${code} command!`);
+		if (content.commands.hasOwnProperty(code))
+			throw new Error("Command with following code already available: " + code + "!");
+		content.commands[code] = CommandClass;
 		log("log", `Command ${code} successfully loaded!`);
 		if (!CommandClass.aliasesAvailable())
 			return;
 		log("log", `Loading aliases for ${code}...`);
 		const aliases = CommandClass.getAliases();
 		aliases.forEach(alias => {
-			if (this.aliases.hasOwnProperty(alias)) {
-				log("error", `Warning! Alias ${alias} already used by command ${this.aliases[alias]}!`);
-				process.exit();
-			}
-			this.aliases[alias] = code;
+			if (content.aliases.hasOwnProperty(alias))
+				throw new Error(`Alias ${alias} already used by command ${content.aliases[alias]}!`);
+			content.aliases[alias] = code;
 			log("log", `Alias registered: ${alias} => ${code}.`);
 		});
 	}
@@ -178,6 +226,11 @@ class CommandsRegistry {
 	}
 }
 
+/**
+ * Loaded commands, aliases and categories.
+ * @typedef {{commands: Object<string, typeof BaseCommand>, aliases: Object<string, string>, categories: Object<string, typeof BaseCategory>}} CommandsRegistryContent
+ */
+
 /**
  * Object with meta data for loading commands from commands directory.
  * @typedef {{name: string, dir: string[]}} CommandChildDirectory
@@ -0,0 +1,136 @@
+/**
+ * # Content Tokenizer
+ *
+ * Splits command content into arguments and flags.
+ *
+ * + Arguments are separated by whitespaces;
+ * + Double quotes group words into one argument: `"buy milk"`. Unclosed quote is kept as a regular character;
+ * + Backslash escapes only double quote: `\"`. Any other backslash is kept as typed;
+ * + `--name value` or `--name=value` sets value of the declared flag, declared boolean flag is set to `true` without
+ *   value. Undeclared and quoted `--name` tokens are kept as arguments;
+ * + Single `--` stops flags parsing, all tokens after it are arguments.
+ *
+ * Raw remainder of each argument is the content from the argument beginning to the end of the last argument, so
+ * commands can read free text with quotes and line breaks as typed.
+ * @example
+ * ContentTokenizer.tokenize('remind "buy milk" 1h --silent', { silent: { type: "boolean" } });
+ * // { args: ["remind", "buy milk", "1h"], flags: { silent: true },
+ * //   remainders: ['remind "buy milk" 1h', '"buy milk" 1h', "1h"] }
+ * ContentTokenizer.tokenize("export messages --format json", { format: { type: "enum" } });
+ * // { args: ["export", "messages"], flags: { format: "json" }, remainders: ["export messages", "messages"] }
+ */
+class ContentTokenizer {
+	/**
+	 * Tokenize content into arguments and flags.
+	 * @param {string} content Message content without prefix.
+	 * @param {Object<string, Cognitum.ArgumentDeclaration>} [flagDeclarations={}] Flags declared by the command, key is
+	 *     flag name.
+	 * @return {Cognitum.ContentTokenizingResult}
+	 */
+	static tokenize(content, flagDeclarations = {}) {
+		const tokens = this.#split(content);
+		const argTokens = [];
+		const flags = {};
+		let flagsParsing = true;
+		for (let i = 0; i < tokens.length; i++) {
+			if (flagsParsing && this.#isFlagsEnd(tokens[i])) {
+				flagsParsing = false;
+				continue;
+			}
+			const flag = flagsParsing ? this.#parseFlag(tokens[i], flagDeclarations) : null;
+			if (!flag) {
+				argTokens.push(tokens[i]);
+				continue;
+			}
+			if (flag.value !== null) {
+				flags[flag.name] = flag.value;
+				continue;
+			}
+			const next = tokens[i + 1];
+			if (
+				flagDeclarations[flag.name].type !== "boolean"
+				&& next
+				&& !this.#isFlagsEnd(next)
+				&& !this.#parseFlag(next, flagDeclarations)
+			) {
+				flags[flag.name] = next.value;
+				i++;
+			} else
+				flags[flag.name] = true;
+		}
+		const end = argTokens[argTokens.length - 1]?.end;
+		return {
+			args: argTokens.map(token => token.value),
+			flags,
+			remainders: argTokens.map(token => content.slice(token.start, end))
+		};
+	}
+
+	/**
+	 * Split content into tokens with respect to quotes and escapes. Unclosed quote is treated as a regular character.
+	 * @param {string} content Target content.
+	 * @param {Set<number>} [literalQuotes] Positions of quotes which are treated as regular characters.
+	 * @return {Cognitum.ContentToken[]}
+	 */
+	static #split(content, literalQuotes = new Set()) {
+		const tokens = [];
+		/** @type {Cognitum.ContentToken|null} */
+		let token = null;
+		let quoteStart = null;
+		for (let i = 0; i < content.length; i++) {
+			const character = content[i];
+			if (character === "\\" && content[i + 1] === "\"") {
+				token ??= { value: "", quoted: false, start: i, end: i };
+				token.value += content[++i];
+			} else if (character === "\"" && !literalQuotes.has(i)) {
+				token ??= { value: "", quoted: false, start: i, end: i };
+				token.quoted = true;
+				quoteStart = quoteStart === null ? i : null;
+			} else if (/\s/.test(character) && quoteStart === null) {
+				if (token)
+					tokens.push(token);
+				token = null;
+				continue;
+			} else {
+				token ??= { value: "", quoted: false, start: i, end: i };
+				token.value += character;
+			}
+			token.end = i + 1;
+		}
+		if (quoteStart !== null)
+			return this.#split(content, new Set(literalQuotes).add(quoteStart));
+		if (token)
+			tokens.push(token);
+		return tokens;
+	}
+
+	/**
+	 * Check is token a single `--` which ends flags parsing.
+	 * @param {Cognitum.ContentToken} token Target token.
+	 * @return {boolean}
+	 */
+	static #isFlagsEnd(token) {
+		return !token.quoted && token.value === "--";
+	}
+
+	/**
+	 * Parse declared flag from token.
+	 * @param {Cognitum.ContentToken} token Target token.
+	 * @param {Object<string, Cognitum.ArgumentDeclaration>} flagDeclarations Flags declared by the command.
+	 * @return {{name: string, value: string|null}|null} Flag name with value passed through `=` or null if token is not
+	 *     a declared flag.
+	 */
+	static #parseFlag(token, flagDeclarations) {
+		if (token.quoted)
+			return null;
+		const flag = /^--([a-z][\w-]*)(?:=(.*))?$/i.exec(token.value);
+		if (!flag || !flagDeclarations.hasOwnProperty(flag[1].toLowerCase()))
+			return null;
+		return {
+			name: flag[1].toLowerCase(),
+			value: flag[2] ?? null
+		};
+	}
+}
+
+module.exports = ContentTokenizer;
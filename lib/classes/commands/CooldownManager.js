@@ -0,0 +1,175 @@
+const CooldownError = require("../errors/CooldownError.js");
+
+/**
+ * # Cooldown Manager
+ *
+ * Limits frequency of commands calling. Every command can declare its own cooldown, also all commands of one user share
+ * global limit. Calls are stored in memory of the current shard.
+ * @example
+ * // Two calls in 10 seconds for each user.
+ * static cooldown = { scope: "user", duration: 10, uses: 2 };
+ */
+class CooldownManager {
+	/**
+	 * Timestamps of the recent calls. Key is generated from command code, scope and target ID.
+	 * @type {Map<string, number[]>}
+	 */
+	static #calls = new Map();
+
+	/**
+	 * Timestamps of the last warnings about reached limit. Key is the same as for calls.
+	 * @type {Map<string, number>}
+	 */
+	static #warnings = new Map();
+
+	/**
+	 * Timestamp of the last removing of expired calls.
+	 * @type {number}
+	 */
+	static #sweptAt = Date.now();
+
+	/**
+	 * Check global and command limits and register the call in the global limit. Call is not registered if any of
+	 * limits is reached. Call of the command is registered separately by {@link CooldownManager.confirm} after
+	 * validation, so rejected calls don't block the command for other users in its scope.
+	 * @param {typeof BaseCommand} TargetCommand Class of the called command.
+	 * @param {CommandContext} context Command context.
+	 * @throws {CooldownError}
+	 */
+	static consume(TargetCommand, context) {
+		const now = Date.now();
+		this.#sweep(now);
+		const globalLimit = {
+			code: "global",
+			key: `global:${context.getMessage().author.id}`,
+			cooldown: this.GLOBAL_COOLDOWN
+		};
+		const commandLimit = this.#getCommandLimit(TargetCommand, context);
+		this.#assertLimit(globalLimit, now);
+		if (commandLimit)
+			this.#assertLimit(commandLimit, now);
+		this.#register(globalLimit, now);
+	}
+
+	/**
+	 * Check command limit again and register the validated call of the command.
+	 * @param {typeof BaseCommand} TargetCommand Class of the called command.
+	 * @param {CommandContext} context Command context.
+	 * @throws {CooldownError}
+	 */
+	static confirm(TargetCommand, context) {
+		const now = Date.now();
+		const commandLimit = this.#getCommandLimit(TargetCommand, context);
+		if (!commandLimit)
+			return;
+		this.#assertLimit(commandLimit, now);
+		this.#register(commandLimit, now);
+	}
+
+	/**
+	 * Get limit of the command for the current context.
+	 * @param {typeof BaseCommand} TargetCommand Class of the called command.
+	 * @param {CommandContext} context Command context.
+	 * @return {{code: string, key: string, cooldown: Cognitum.CommandCooldown}|null} Limit or null if command has no
+	 *     cooldown.
+	 */
+	static #getCommandLimit(TargetCommand, context) {
+		const cooldown = TargetCommand.getCooldown();
+		if (!cooldown)
+			return null;
+		return {
+			code: TargetCommand.getCode(),
+			key: `${TargetCommand.getCode()}:${this.#resolveTargetId(cooldown.scope, context.getMessage())}`,
+			cooldown
+		};
+	}
+
+	/**
+	 * Throw error if limit is reached. Error about reached limit is marked as silent if caller was already warned about
+	 * it, so spamming doesn't cause replies.
+	 * @param {{code: string, key: string, cooldown: Cognitum.CommandCooldown}} limit Target limit.
+	 * @param {number} now Current timestamp.
+	 * @throws {CooldownError}
+	 */
+	static #assertLimit(limit, now) {
+		const calls = this.#getCalls(limit.key, limit.cooldown, now);
+		if (calls.length < (limit.cooldown.uses ?? 1))
+			return;
+		const silent = (this.#warnings.get(limit.key) ?? 0) >= calls[0];
+		this.#warnings.set(limit.key, now);
+		throw new CooldownError(
+			`Cooldown "${limit.code}" is not passed!`,
+			limit.code,
+			(calls[0] + limit.cooldown.duration * 1000 - now) / 1000,
+			silent
+		);
+	}
+
+	/**
+	 * Register the call in the limit.
+	 * @param {{code: string, key: string, cooldown: Cognitum.CommandCooldown}} limit Target limit.
+	 * @param {number} now Current timestamp.
+	 */
+	static #register(limit, now) {
+		this.#calls.set(limit.key, [...this.#getCalls(limit.key, limit.cooldown, now), now]);
+	}
+
+	/**
+	 * Get not expired calls for the key.
+	 * @param {string} key Target key.
+	 * @param {Cognitum.CommandCooldown} cooldown Cooldown options.
+	 * @param {number} now Current timestamp.
+	 * @return {number[]}
+	 */
+	static #getCalls(key, cooldown, now) {
+		return (this.#calls.get(key) ?? []).filter(timestamp => timestamp + cooldown.duration * 1000 > now);
+	}
+
+	/**
+	 * Resolve ID of the cooldown target. Channel is used instead of guild in direct messages.
+	 * @param {"user"|"channel"|"guild"} scope Cooldown scope.
+	 * @param {module:"discord.js".Message} message Calling message.
+	 * @return {string}
+	 */
+	static #resolveTargetId(scope, message) {
+		if (scope === "guild")
+			return `guild:${message.guild?.id ?? message.channel.id}`;
+		if (scope === "channel")
+			return `channel:${message.channel.id}`;
+		return `user:${message.author.id}`;
+	}
+
+	/**
+	 * Remove expired calls. Calls can't be stored longer than longest cooldown, so all calls older than it are removed.
+	 * @param {number} now Current timestamp.
+	 */
+	static #sweep(now) {
+		if (now - this.#sweptAt < this.SWEEP_INTERVAL * 1000)
+			return;
+		this.#sweptAt = now;
+		for (const [key, calls] of this.#calls) {
+			if (calls[calls.length - 1] + this.MAX_DURATION * 1000 <= now) {
+				this.#calls.delete(key);
+				this.#warnings.delete(key);
+			}
+		}
+	}
+
+	/**
+	 * Limit of calls of all commands for one user.
+	 * @type {Cognitum.CommandCooldown}
+	 */
+	static GLOBAL_COOLDOWN = { scope: "user", duration: 10, uses: 5 };
+	/**
+	 * Interval in seconds between removing of expired calls.
+	 * @type {number}
+	 */
+	static SWEEP_INTERVAL = 60;
+	/**
+	 * Maximal cooldown duration in seconds. Calls older than this are removed on sweeping.
+	 * @type {number}
+	 */
+	static MAX_DURATION = 3600;
+}
+
+module.exports = CooldownManager;
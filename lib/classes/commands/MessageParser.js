@@ -2,9 +2,15 @@ const CommandsRegistry = require("./CommandsRegistry");
 const BaseCommand = require("../base/BaseCommand");
 const BaseError = require("../base/BaseError");
 const CommandContext = require("./CommandContext");
+const ContentTokenizer = require("./ContentTokenizer");
+const CooldownManager = require("./CooldownManager");
+const CommandRules = require("./CommandRules");
+const CooldownError = require("../errors/CooldownError");
 const Lang = require("../localization/Lang");
+const StatisticsManager = require("../statistics/StatisticsManager");
+const ScoringPipeline = require("../statistics/ScoringPipeline");
 const { GuildModel, GuildChannelModel, GuildMemberModel, UserModel, MessageStatisticsModel } = require("../Database");
-const { createModuleLog } = require("../Utils");
+const { createModuleLog, toDatabaseTimestamp } = require("../Utils");
 const log = createModuleLog("MessageParser");
 const ConfigManager = require("../ConfigManager");
 
@@ -34,26 +40,33 @@ class MessageParser {
 	 */
 	async resolve() {
 		/** @type {Cognitum.ContextModelsInstances} */
-		const databaseInstances = await this.#resolveInstancesWithStats();
-		const { status, commandName, args } = this.#parseContent({
-			prefix: databaseInstances.guild["prefix"] ?? ConfigManager.get("preferences.cognitum.prefix")
+		const databaseInstances = await this.#resolveInstances();
+		const { status, commandName, args, flags, remainders } = this.#parseContent({
+			prefix: databaseInstances.guild?.["prefix"] ?? ConfigManager.get("preferences.cognitum.prefix")
 		});
-		if (!status)
-			return;
-		const TargetCommand = CommandsRegistry.findCommand(commandName);
-		if (!(TargetCommand.prototype instanceof BaseCommand))
+		const TargetCommand = status ? CommandsRegistry.findCommand(commandName) : null;
+		const isCommand = TargetCommand?.prototype instanceof BaseCommand;
+		if (databaseInstances.guild)
+			await this.#pushStatistics({ ...databaseInstances, isCommand });
+		if (!isCommand)
 			return;
 		const context = new CommandContext({
 			message: this.message,
 			prefix: this.prefix,
 			args,
-			language: new Lang(databaseInstances.guild["language"]),
+			flags,
+			remainders,
+			language: new Lang(this.constructor.#resolveLanguage(databaseInstances)),
 			databaseInstances
 		});
 		try {
+			if (!context.isDirect())
+				(await CommandRules.load(this.message.guild.id)).check(TargetCommand, this.message);
+			CooldownManager.consume(TargetCommand, context);
 			/** @type {BaseCommand} */
 			const command = new TargetCommand(context);
 			await command.validate();
+			CooldownManager.confirm(TargetCommand, context);
 			return await command.run();
 		} catch (error) {
 			return this.constructor.#handleError(error, context);
@@ -61,45 +74,40 @@ class MessageParser {
 	}
 
 	/**
-	 * Creating tables entities at database for pushing statistics, pushing stats to text activity table.
-	 * @return {Cognitum.ContextModelsInstances} Object with database instances.
-	 * @todo Somehow check for tables elements existence to lower amount of queries sent to DB.
+	 * Pushing stats to text activity table. Score is calculated by scoring pipeline with guild rules. Messages in
+	 * channels excluded from statistics are not pushed.
+	 * @param {Cognitum.ScoringContext} scoringContext Database instances of the message and scoring flags.
+	 * @return {Promise<void>}
 	 */
-	async #resolveInstancesWithStats() {
-		const databaseInstances = await this.#resolveInstances();
+	async #pushStatistics(scoringContext) {
+		if (scoringContext.channel["hidden"] === StatisticsManager.CHANNEL_EXCLUDED)
+			return;
 		try {
 			await MessageStatisticsModel.create({
 				id: this.message.id,
-				id_member: databaseInstances.member.id,
+				id_member: scoringContext.member.id,
 				id_channel: this.message.channel.id,
-				weight: this.#calculateScore(this.message.content)
+				timestamp: toDatabaseTimestamp(this.message.createdAt),
+				weight: this.constructor.scoringPipeline.score(this.message, scoringContext)
 			});
 		} catch (error) {
 			log("error", `Failed to push statistics! Message ID: ${this.message.id}.`);
 			console.dir(error);
 		}
-		return databaseInstances;
 	};
 
 	/**
 	 * Resolving all database instances for context and statistics pushing.
 	 * @return {Promise<Cognitum.ContextModelsInstances>}
+	 * @todo Somehow check for tables elements existence to lower amount of queries sent to DB.
 	 */
 	async #resolveInstances() {
 		return this.constructor.resolveDatabaseInstances(this.message);
 	};
 
 	/**
-	 * Calculate statistics score from content.
-	 * @param {string} content Actual message content.
-	 * @return {number} Calculated score.
-	 */
-	#calculateScore(content) {
-		return content.match(this.constructor.wordRegex)?.length ?? 0;
-	};
-
-	/**
-	 * Parse current message content.
+	 * Parse current message content. Arguments can be grouped by quotes and flags declared by the called command can be
+	 * passed in format `--name value`, see {@link ContentTokenizer}.
 	 * @param {Object} parseOptions Parsing options.
 	 * @param {string} parseOptions.prefix Resolved for current guild prefix.
 	 * @return {Cognitum.ContentParsingResult} Result of content parsing. If nothing found then returns status only.
@@ -110,12 +118,19 @@ class MessageParser {
 				status: false
 			};
 		const content = this.message.content.substr(prefix.length, this.message.content.length - prefix.length);
-		const commandParts = content.split(/\s+/);
-		const command = commandParts.shift().toLowerCase();
+		const command = ContentTokenizer.tokenize(content).args[0]?.toLowerCase();
+		const { args, flags, remainders } = ContentTokenizer.tokenize(
+			content,
+			command ? CommandsRegistry.findCommand(command)?.flags : undefined
+		);
+		args.shift();
+		remainders.shift();
 		return {
-			status: true,
+			status: !!command,
 			commandName: command,
-			args: commandParts
+			args,
+			flags,
+			remainders
 		};
 	};
 
@@ -124,9 +139,11 @@ class MessageParser {
 	 * @param {BaseError | Error} error Error class.
 	 * @param {CommandContext} context Command context for showing error for current command execution.
 	 * @return {void | DefaultEmbed} Object of DefaultEmbed class to show this error or nothing if embed generating is
-	 * not possible.
+	 * not possible or caller was already warned about reached cooldown.
 	 */
 	static #handleError(error, context) {
+		if (error instanceof CooldownError && error.silent)
+			return;
 		if (error instanceof BaseError)
 			return error.toEmbed({ context });
 		console.error(error);
@@ -139,23 +156,38 @@ class MessageParser {
 	};
 
 	/**
-	 * RegExp for calculating score from message content.
-	 * @type {RegExp}
+	 * Resolve language for the command context. Guild language is used in guild channels, preferred language of the
+	 * user is used in direct messages.
+	 * @param {Cognitum.ContextModelsInstances} databaseInstances Resolved database instances.
+	 * @return {string} Language pack code.
+	 */
+	static #resolveLanguage(databaseInstances) {
+		if (databaseInstances.guild)
+			return databaseInstances.guild["language"];
+		return databaseInstances.user["language"] ?? Lang.getBaseLanguage();
+	}
+
+	/**
+	 * Pipeline for calculating score of messages. Shared between all messages, because scoring rules remember previous
+	 * messages of members.
+	 * @type {ScoringPipeline}
 	 */
-	static wordRegex = /[^\s\d!?.:,@<>/\\_]{3,}/g;
+	static scoringPipeline = new ScoringPipeline();
 
 	/**
-	 * Resolve all required database instances from target message.
+	 * Resolve all required database instances from target message. Only user instance is resolved for direct messages.
 	 * @param {module:"discord.js".Message} message Target message.
 	 * @return {Promise<Cognitum.ContextModelsInstances>} List of instances required for work.
 	 */
 	static async resolveDatabaseInstances(message) {
-		const [guild] = await GuildModel.findOrCreate({
-			where: { id: message.guild.id }
-		});
 		const [user] = await UserModel.findOrCreate({
 			where: { id: message.author.id }
 		});
+		if (!message.guild)
+			return { guild: null, user, member: null, channel: null };
+		const [guild] = await GuildModel.findOrCreate({
+			where: { id: message.guild.id }
+		});
 		const [member] = await GuildMemberModel.findOrCreate({
 			where: {
 				id_guild: message.guild.id,
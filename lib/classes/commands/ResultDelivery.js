@@ -0,0 +1,238 @@
+const { MessageEmbed } = require("discord.js");
+const Lang = require("../localization/Lang");
+const { GuildModel } = require("../Database");
+const log = require("../Utils").createModuleLog("ResultDelivery");
+
+/**
+ * # Result Delivery
+ *
+ * Delivers command results to the channel of the calling message. Permissions of the bot are checked before sending:
+ *
+ * + Embeds are converted into plain text if bot can't embed links;
+ * + Result is sent to the caller in direct messages if bot can't send it into the channel at all;
+ * + Results exceeding Discord limits are split into several messages.
+ * @example
+ * await new ResultDelivery(message).deliver(embed);
+ */
+class ResultDelivery {
+	/**
+	 * Message which called the command.
+	 * @type {module:"discord.js".Message}
+	 */
+	#message;
+
+	/**
+	 * @param {module:"discord.js".Message} message Message which called the command.
+	 */
+	constructor(message) {
+		this.#message = message;
+	}
+
+	/**
+	 * Deliver result of the command.
+	 * @param {MessageEmbed|string} result Command result. Other values are ignored.
+	 * @return {Promise<module:"discord.js".Message[]>} Sent messages.
+	 */
+	async deliver(result) {
+		if (!(result instanceof MessageEmbed) && !(typeof result === "string" && result.length > 0))
+			return [];
+		const hasFiles = result instanceof MessageEmbed && result.files.length > 0;
+		if (!this.canSend() || (hasFiles && !this.#hasPermissions("ATTACH_FILES")))
+			return await this.#deliverDirectly(result);
+		if (result instanceof MessageEmbed && !this.#hasPermissions("EMBED_LINKS"))
+			return await this.#send(this.#message.channel, this.constructor.#createPayloads(
+				this.constructor.convertEmbedToText(result),
+				result.files
+			));
+		return await this.#send(this.#message.channel, this.constructor.#createPayloads(result));
+	}
+
+	/**
+	 * Check is bot allowed to send messages into the channel of the calling message.
+	 * @return {boolean}
+	 */
+	canSend() {
+		return this.#hasPermissions(["VIEW_CHANNEL", "SEND_MESSAGES"]);
+	}
+
+	/**
+	 * Check permissions of the bot in the channel of the calling message. Channels without permissions overwrites
+	 * (direct messages) allow everything.
+	 * @param {module:"discord.js".PermissionResolvable} permissions Required permissions.
+	 * @return {boolean}
+	 */
+	#hasPermissions(permissions) {
+		return this.#message.channel.permissionsFor?.(this.#message.client.user)?.has(permissions) ?? true;
+	}
+
+	/**
+	 * Deliver result to the caller in direct messages with note about missing permissions.
+	 * @param {MessageEmbed|string} result Command result.
+	 * @return {Promise<module:"discord.js".Message[]>} Sent messages or empty list if direct messages are closed.
+	 */
+	async #deliverDirectly(result) {
+		const guildInstance = await GuildModel.findOne({
+			where: {
+				id: this.#message.guild.id
+			}
+		});
+		const note = new Lang(guildInstance?.["language"] ?? Lang.getBaseLanguage()).get("delivery.directFallback", {
+			channelId: this.#message.channel.id
+		});
+		try {
+			return await this.#send(this.#message.author, [
+				{ content: note },
+				...this.constructor.#createPayloads(result)
+			]);
+		} catch (error) {
+			log("warn", `Failed to deliver command result! Channel ID: ${this.#message.channel.id}.`);
+			console.error(error);
+			return [];
+		}
+	}
+
+	/**
+	 * Send payloads one by one.
+	 * @param {module:"discord.js".TextChannel|module:"discord.js".User} target Target channel or user.
+	 * @param {{content?: string, embed?: MessageEmbed, files?: Object[]}[]} payloads List of messages to send.
+	 * @return {Promise<module:"discord.js".Message[]>}
+	 */
+	async #send(target, payloads) {
+		const messages = [];
+		for (const payload of payloads)
+			messages.push(await target.send(payload));
+		return messages;
+	}
+
+	/**
+	 * Convert embed into markdown text. Image and thumbnail links are dropped, attached files are sent separately.
+	 * @param {MessageEmbed} embed Target embed.
+	 * @return {string}
+	 */
+	static convertEmbedToText(embed) {
+		return [
+			embed.author?.name ? `*${embed.author.name}*` : null,
+			embed.title ? `**${embed.title}**` : null,
+			embed.description,
+			...embed.fields.map(field => `**${field.name}**\n${field.value}`),
+			embed.footer?.text ? `*${embed.footer.text}*` : null
+		].filter(part => part).join("\n\n");
+	}
+
+	/**
+	 * Create payloads for sending result. Results exceeding Discord limits are split into several messages, attached
+	 * files are sent with the last one.
+	 * @param {MessageEmbed|string} result Command result.
+	 * @param {Object[]} [files=[]] Files attached to the text result.
+	 * @return {{content?: string, embed?: MessageEmbed, files?: Object[]}[]}
+	 */
+	static #createPayloads(result, files = []) {
+		if (result instanceof MessageEmbed)
+			return this.#splitEmbed(result).map(embed => ({ embed }));
+		const payloads = this.#splitText(result, this.MAX_CONTENT_LENGTH).map(content => ({ content }));
+		if (files.length && !payloads.length)
+			payloads.push({ files });
+		else if (files.length)
+			payloads[payloads.length - 1].files = files;
+		return payloads;
+	}
+
+	/**
+	 * Split embed exceeding Discord limits into several embeds. The first embed keeps title, author and thumbnail,
+	 * the last one keeps footer, image and attached files.
+	 * @param {MessageEmbed} embed Target embed.
+	 * @return {MessageEmbed[]}
+	 */
+	static #splitEmbed(embed) {
+		if (
+			embed.length <= this.MAX_EMBED_LENGTH
+			&& (embed.description?.length ?? 0) <= this.MAX_DESCRIPTION_LENGTH
+			&& embed.fields.length <= this.MAX_FIELDS
+		)
+			return [embed];
+		const createPart = (description, isFirst) => new MessageEmbed({
+			color: embed.color,
+			description,
+			...(isFirst ? {
+				title: embed.title,
+				url: embed.url,
+				author: embed.author,
+				thumbnail: embed.thumbnail
+			} : {})
+		});
+		const parts = this.#splitText(embed.description ?? "", this.MAX_DESCRIPTION_LENGTH)
+			.map((description, index) => createPart(description, index === 0));
+		if (!parts.length)
+			parts.push(createPart(null, true));
+		const footerLength = embed.footer?.text?.length ?? 0;
+		embed.fields.forEach(field => {
+			let part = parts[parts.length - 1];
+			if (
+				part.fields.length >= this.MAX_FIELDS
+				|| part.length + field.name.length + field.value.length + footerLength > this.MAX_EMBED_LENGTH
+			)
+				parts.push(part = createPart(null, false));
+			part.addField(field.name, field.value, field.inline);
+		});
+		const last = parts[parts.length - 1];
+		if (embed.footer)
+			last.setFooter(embed.footer.text, embed.footer.iconURL);
+		if (embed.image)
+			last.setImage(embed.image.url);
+		if (embed.timestamp)
+			last.setTimestamp(embed.timestamp);
+		last.attachFiles(embed.files);
+		return parts;
+	}
+
+	/**
+	 * Split text into chunks by lines. Lines longer than limit are cut.
+	 * @param {string} text Target text.
+	 * @param {number} maxLength Maximal length of the chunk.
+	 * @return {string[]}
+	 */
+	static #splitText(text, maxLength) {
+		const chunks = [];
+		let chunk = "";
+		text.split("\n").forEach(line => {
+			while (line.length > maxLength) {
+				if (chunk)
+					chunks.push(chunk);
+				chunks.push(line.substr(0, maxLength));
+				chunk = "";
+				line = line.substr(maxLength);
+			}
+			if (chunk && chunk.length + line.length + 1 > maxLength) {
+				chunks.push(chunk);
+				chunk = line;
+			} else
+				chunk = chunk ? `${chunk}\n${line}` : line;
+		});
+		if (chunk)
+			chunks.push(chunk);
+		return chunks;
+	}
+
+	/**
+	 * Maximal length of the message content.
+	 * @type {number}
+	 */
+	static MAX_CONTENT_LENGTH = 2000;
+	/**
+	 * Maximal length of the embed description.
+	 * @type {number}
+	 */
+	static MAX_DESCRIPTION_LENGTH = 2048;
+	/**
+	 * Maximal amount of fields in one embed.
+	 * @type {number}
+	 */
+	static MAX_FIELDS = 25;
+	/**
+	 * Maximal total length of the embed texts.
+	 * @type {number}
+	 */
+	static MAX_EMBED_LENGTH = 6000;
+}
+
+module.exports = ResultDelivery;
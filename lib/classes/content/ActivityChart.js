@@ -0,0 +1,150 @@
+const PngCanvas = require("./PngCanvas");
+
+/**
+ * # Activity Chart
+ *
+ * Renders daily activity as PNG image with two bar charts: messages weight on the top and voice time on the bottom.
+ * @example
+ * const chart = new ActivityChart();
+ * chart.push({ date: "2021-01-01", messages: 120, voice: 3600 });
+ * chart.push({ date: "2021-01-02", messages: 80, voice: 0 });
+ * const buffer = chart.render();
+ */
+class ActivityChart extends Array {
+	/**
+	 * Render chart as PNG image.
+	 * @return {Buffer} PNG file contents.
+	 */
+	render() {
+		const canvas = new PngCanvas(this.constructor.WIDTH, this.constructor.HEIGHT, this.constructor.COLORS.background);
+		const { top, bottom, left, right, gap } = this.constructor.MARGINS;
+		const panelHeight = (this.constructor.HEIGHT - top - bottom - gap) / 2;
+		const panelWidth = this.constructor.WIDTH - left - right;
+		this.#drawPanel(canvas, top, panelWidth, panelHeight, "messages", value => this.constructor.#formatNumber(value));
+		this.#drawPanel(canvas, top + panelHeight + gap, panelWidth, panelHeight, "voice", value => this.constructor.#formatDuration(value));
+		this.#drawDates(canvas, top + panelHeight * 2 + gap, panelWidth);
+		return canvas.toBuffer();
+	}
+
+	/**
+	 * Draw bar chart for one type of activity.
+	 * @param {PngCanvas} canvas Target canvas.
+	 * @param {number} y Top border of the panel.
+	 * @param {number} width Width of the panel.
+	 * @param {number} height Height of the panel.
+	 * @param {"messages"|"voice"} type Type of activity.
+	 * @param {function(number): string} format Formatter of axis labels.
+	 */
+	#drawPanel(canvas, y, width, height, type, format) {
+		const { left } = this.constructor.MARGINS;
+		const scale = this.constructor.SCALE;
+		const maximum = Math.max(0, ...this.map(day => day[type]));
+		[0, 0.5, 1].forEach(ratio => {
+			const lineY = Math.round(y + height - height * ratio);
+			canvas.fillRect(left, lineY, width, 1, this.constructor.COLORS.grid);
+			if (maximum === 0 && ratio > 0)
+				return;
+			const label = format(maximum * ratio);
+			canvas.drawText(
+				left - PngCanvas.measureText(label, scale) - 8,
+				lineY - Math.floor(PngCanvas.GLYPH_HEIGHT * scale / 2),
+				label,
+				this.constructor.COLORS.text,
+				scale
+			);
+		});
+		if (maximum === 0)
+			return;
+		const slot = width / this.length;
+		const barWidth = Math.max(1, Math.floor(slot * 0.7));
+		this.forEach((day, index) => {
+			const barHeight = Math.round(height * day[type] / maximum);
+			canvas.fillRect(
+				left + index * slot + (slot - barWidth) / 2,
+				y + height - barHeight,
+				barWidth,
+				barHeight,
+				this.constructor.COLORS[type]
+			);
+		});
+	}
+
+	/**
+	 * Draw labels of the first, the middle and the last days under the chart.
+	 * @param {PngCanvas} canvas Target canvas.
+	 * @param {number} y Bottom border of the chart.
+	 * @param {number} width Width of the chart.
+	 */
+	#drawDates(canvas, y, width) {
+		const { left } = this.constructor.MARGINS;
+		const scale = this.constructor.SCALE;
+		const slot = width / this.length;
+		[...new Set([0, Math.floor((this.length - 1) / 2), this.length - 1])].forEach(index => {
+			const label = this[index].date.substr(5);
+			const labelWidth = PngCanvas.measureText(label, scale);
+			const center = left + index * slot + slot / 2;
+			canvas.drawText(
+				Math.min(Math.max(center - labelWidth / 2, left), left + width - labelWidth),
+				y + 8,
+				label,
+				this.constructor.COLORS.text,
+				scale
+			);
+		});
+	}
+
+	/**
+	 * Format amount of messages weight for axis label.
+	 * @param {number} value Messages weight.
+	 * @return {string}
+	 */
+	static #formatNumber(value) {
+		if (value >= 1000)
+			return `${parseFloat((value / 1000).toFixed(1))}k`;
+		return Math.round(value).toString();
+	}
+
+	/**
+	 * Format amount of seconds for axis label.
+	 * @param {number} value Amount of seconds.
+	 * @return {string}
+	 */
+	static #formatDuration(value) {
+		if (value >= 3600)
+			return `${parseFloat((value / 3600).toFixed(1))}h`;
+		return `${Math.round(value / 60)}m`;
+	}
+
+	static WIDTH = 800;
+	static HEIGHT = 400;
+
+	/**
+	 * Size of one font pixel.
+	 * @type {number}
+	 */
+	static SCALE = 2;
+
+	/**
+	 * Margins around the panels in pixels.
+	 */
+	static MARGINS = {
+		top: 16,
+		bottom: 32,
+		left: 72,
+		right: 16,
+		gap: 32
+	};
+
+	/**
+	 * Colors of the chart in format `0xRRGGBB`.
+	 */
+	static COLORS = {
+		background: 0x2F3136,
+		grid: 0x40444B,
+		text: 0xB9BBBE,
+		messages: 0x7289DA,
+		voice: 0x43B581
+	};
+}
+
+module.exports = ActivityChart;
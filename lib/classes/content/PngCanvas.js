@@ -0,0 +1,200 @@
+const zlib = require("zlib");
+
+/**
+ * # PNG Canvas
+ *
+ * Minimal raster canvas for drawing simple images without native dependencies. Supports filled rectangles and text
+ * written with the built-in 3×5 pixel font, encodes result as PNG.
+ * @example
+ * const canvas = new PngCanvas(100, 50);
+ * canvas.fillRect(10, 10, 20, 30, 0x7289DA);
+ * canvas.drawText(40, 10, "12-31", 0xFFFFFF, 2);
+ * const buffer = canvas.toBuffer();
+ */
+class PngCanvas {
+	/**
+	 * @type {number}
+	 */
+	#width;
+
+	/**
+	 * @type {number}
+	 */
+	#height;
+
+	/**
+	 * RGB pixels of the image.
+	 * @type {Buffer}
+	 */
+	#pixels;
+
+	/**
+	 * @param {number} width Width of the image in pixels.
+	 * @param {number} height Height of the image in pixels.
+	 * @param {number} [background=0x000000] Background color in format `0xRRGGBB`.
+	 */
+	constructor(width, height, background = 0x000000) {
+		this.#width = width;
+		this.#height = height;
+		this.#pixels = Buffer.alloc(width * height * 3);
+		this.fillRect(0, 0, width, height, background);
+	}
+
+	/**
+	 * @return {number}
+	 */
+	get width() {
+		return this.#width;
+	}
+
+	/**
+	 * @return {number}
+	 */
+	get height() {
+		return this.#height;
+	}
+
+	/**
+	 * Fill rectangle with color. Parts outside of the canvas are skipped.
+	 * @param {number} x Left border.
+	 * @param {number} y Top border.
+	 * @param {number} width Width of the rectangle.
+	 * @param {number} height Height of the rectangle.
+	 * @param {number} color Color in format `0xRRGGBB`.
+	 * @return {PngCanvas}
+	 */
+	fillRect(x, y, width, height, color) {
+		const left = Math.max(0, Math.round(x));
+		const top = Math.max(0, Math.round(y));
+		const right = Math.min(this.#width, Math.round(x + width));
+		const bottom = Math.min(this.#height, Math.round(y + height));
+		for (let row = top; row < bottom; row++) {
+			for (let column = left; column < right; column++) {
+				const offset = (row * this.#width + column) * 3;
+				this.#pixels[offset] = (color >> 16) & 0xFF;
+				this.#pixels[offset + 1] = (color >> 8) & 0xFF;
+				this.#pixels[offset + 2] = color & 0xFF;
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Draw text with the built-in font. Unsupported characters are drawn as spaces.
+	 * @param {number} x Left border of the text.
+	 * @param {number} y Top border of the text.
+	 * @param {string} text Target text.
+	 * @param {number} color Color in format `0xRRGGBB`.
+	 * @param {number} [scale=1] Size of one font pixel.
+	 * @return {PngCanvas}
+	 */
+	drawText(x, y, text, color, scale = 1) {
+		[...text].forEach((character, index) => {
+			const glyph = this.constructor.FONT[character] ?? this.constructor.FONT[" "];
+			const left = x + index * (this.constructor.GLYPH_WIDTH + 1) * scale;
+			glyph.forEach((row, rowIndex) => [...row].forEach((pixel, columnIndex) => {
+				if (pixel === "1")
+					this.fillRect(left + columnIndex * scale, y + rowIndex * scale, scale, scale, color);
+			}));
+		});
+		return this;
+	}
+
+	/**
+	 * Encode image as PNG.
+	 * @return {Buffer} PNG file contents.
+	 */
+	toBuffer() {
+		const header = Buffer.alloc(13);
+		header.writeUInt32BE(this.#width, 0);
+		header.writeUInt32BE(this.#height, 4);
+		// Bit depth 8, color type 2 (RGB), default compression, filtering and no interlace.
+		header.set([8, 2, 0, 0, 0], 8);
+		const rowLength = this.#width * 3;
+		const scanlines = Buffer.alloc((rowLength + 1) * this.#height);
+		for (let row = 0; row < this.#height; row++)
+			this.#pixels.copy(scanlines, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+		return Buffer.concat([
+			this.constructor.SIGNATURE,
+			this.constructor.#createChunk("IHDR", header),
+			this.constructor.#createChunk("IDAT", zlib.deflateSync(scanlines)),
+			this.constructor.#createChunk("IEND", Buffer.alloc(0))
+		]);
+	}
+
+	/**
+	 * Calculate width of the text drawn with the built-in font.
+	 * @param {string} text Target text.
+	 * @param {number} [scale=1] Size of one font pixel.
+	 * @return {number} Width in pixels.
+	 */
+	static measureText(text, scale = 1) {
+		return text.length ? (text.length * (this.GLYPH_WIDTH + 1) - 1) * scale : 0;
+	}
+
+	/**
+	 * Create PNG chunk.
+	 * @param {string} type Chunk type.
+	 * @param {Buffer} data Chunk data.
+	 * @return {Buffer}
+	 */
+	static #createChunk(type, data) {
+		const length = Buffer.alloc(4);
+		length.writeUInt32BE(data.length);
+		const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+		const crc = Buffer.alloc(4);
+		crc.writeUInt32BE(this.#crc32(body));
+		return Buffer.concat([length, body, crc]);
+	}
+
+	/**
+	 * Calculate CRC32 checksum required by PNG chunks.
+	 * @param {Buffer} buffer Target data.
+	 * @return {number}
+	 */
+	static #crc32(buffer) {
+		let crc = 0xFFFFFFFF;
+		for (const byte of buffer)
+			crc = this.#CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+		return (crc ^ 0xFFFFFFFF) >>> 0;
+	}
+
+	/**
+	 * @type {number[]}
+	 */
+	static #CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+		let crc = index;
+		for (let bit = 0; bit < 8; bit++)
+			crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+		return crc >>> 0;
+	});
+
+	static SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+	static GLYPH_WIDTH = 3;
+	static GLYPH_HEIGHT = 5;
+
+	/**
+	 * Built-in 3×5 pixel font. Every glyph is list of rows, `1` marks filled pixel.
+	 * @type {Object<string, string[]>}
+	 */
+	static FONT = {
+		"0": ["111", "101", "101", "101", "111"],
+		"1": ["010", "110", "010", "010", "111"],
+		"2": ["111", "001", "111", "100", "111"],
+		"3": ["111", "001", "111", "001", "111"],
+		"4": ["101", "101", "111", "001", "001"],
+		"5": ["111", "100", "111", "001", "111"],
+		"6": ["111", "100", "111", "101", "111"],
+		"7": ["111", "001", "001", "001", "001"],
+		"8": ["111", "101", "111", "101", "111"],
+		"9": ["111", "101", "111", "001", "111"],
+		"-": ["000", "000", "111", "000", "000"],
+		".": ["000", "000", "000", "000", "010"],
+		"h": ["100", "100", "111", "101", "101"],
+		"k": ["100", "101", "110", "101", "101"],
+		"m": ["000", "111", "111", "101", "101"],
+		" ": ["000", "000", "000", "000", "000"]
+	};
+}
+
+module.exports = PngCanvas;
@@ -26,12 +26,12 @@ class DefaultEmbed extends MessageEmbed {
 	 */
 	static #resolveThumbnail = {
 		/**
-		 * Get guild icon from message guild.
+		 * Get guild icon from message guild. Bot avatar is used in direct messages.
 		 * @param {module:"discord.js".Message} message Target message.
 		 * @return {string|null} Picture URL.
 		 */
 		guild(message) {
-			return message.guild.iconURL();
+			return message.guild ? message.guild.iconURL() : message.client.user.avatarURL();
 		},
 		/**
 		 * Get author avatar from message.
@@ -0,0 +1,23 @@
+const { MessageEmbed } = require("discord.js");
+
+/**
+ * # Log Embed
+ * Embed layout for guild logs messages.
+ */
+class LogEmbed extends MessageEmbed {
+	/**
+	 * @param {number} color Embed color of the event.
+	 * @param {module:"discord.js".User|null} user Target user of the event.
+	 */
+	constructor(color, user) {
+		super();
+		this.color = color;
+		this.timestamp = new Date().getTime();
+		if (!user)
+			return;
+		this.setAuthor(user.tag, user.displayAvatarURL());
+		this.setFooter(`ID: ${user.id}`);
+	}
+}
+
+module.exports = LogEmbed;
@@ -0,0 +1,32 @@
+const BaseError = require("../base/BaseError.js");
+
+class AccessLevelError extends BaseError {
+	static errorCode = "accessLevelError";
+
+	/**
+	 * Code of the required access level.
+	 * @type {Cognitum.AccessLevelCode}
+	 */
+	requiredLevel;
+
+	/**
+	 * @param {string} message Error message.
+	 * @param {Cognitum.AccessLevelCode} requiredLevel Code of the required access level.
+	 */
+	constructor(message, requiredLevel) {
+		super(message);
+		this.requiredLevel = requiredLevel;
+	}
+
+	/**
+	 * @param {CommandContext} context Command context.
+	 * @return {{accessLevel: string}}
+	 */
+	generateEmbedOptions(context) {
+		return {
+			accessLevel: context.getLang().get(`access.${this.requiredLevel}`)
+		};
+	}
+}
+
+module.exports = AccessLevelError;
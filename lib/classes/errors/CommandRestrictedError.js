@@ -0,0 +1,37 @@
+const BaseError = require("../base/BaseError.js");
+
+class CommandRestrictedError extends BaseError {
+	static errorCode = "commandRestrictedError";
+
+	/**
+	 * Code of the restriction: "disabled", "allowedChannels", "deniedChannel" or "requiredRoles".
+	 * @type {string}
+	 */
+	reason;
+
+	/**
+	 * @type {Object<string, string>}
+	 */
+	langOptions;
+
+	/**
+	 * @param {string} message Error message.
+	 * @param {string} reason Code of the restriction.
+	 * @param {Object<string, string>} [langOptions={}] Options for passing on lang calling.
+	 */
+	constructor(message, reason, langOptions = {}) {
+		super(message);
+		this.reason = reason;
+		this.langOptions = langOptions;
+	}
+
+	generateEmbedDescription() {
+		return `embed.errors.${this.constructor.errorCode}.${this.reason}`;
+	}
+
+	generateEmbedOptions() {
+		return this.langOptions;
+	}
+}
+
+module.exports = CommandRestrictedError;
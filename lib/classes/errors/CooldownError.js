@@ -0,0 +1,50 @@
+const BaseError = require("../base/BaseError.js");
+const { formatTimeString } = require("../Utils.js");
+
+class CooldownError extends BaseError {
+	static errorCode = "cooldownError";
+
+	/**
+	 * Code of the reached limit: "global" for limit of all commands or code of the command.
+	 * @type {string}
+	 */
+	limitCode;
+
+	/**
+	 * Amount of seconds remaining before next call.
+	 * @type {number}
+	 */
+	remaining;
+
+	/**
+	 * Is caller already warned about this limit. Silent errors are not shown.
+	 * @type {boolean}
+	 */
+	silent;
+
+	/**
+	 * @param {string} message Error message.
+	 * @param {string} limitCode Code of the reached limit.
+	 * @param {number} remaining Amount of seconds remaining before next call.
+	 * @param {boolean} [silent=false] Is caller already warned about this limit.
+	 */
+	constructor(message, limitCode, remaining, silent = false) {
+		super(message);
+		this.limitCode = limitCode;
+		this.remaining = remaining;
+		this.silent = silent;
+	}
+
+	generateEmbedDescription() {
+		return `embed.errors.${this.constructor.errorCode}.${this.limitCode === "global" ? "global" : "command"}`;
+	}
+
+	generateEmbedOptions() {
+		return {
+			commandName: this.limitCode,
+			timeLeft: formatTimeString(Math.max(Math.ceil(this.remaining), 1))
+		};
+	}
+}
+
+module.exports = CooldownError;
@@ -0,0 +1,33 @@
+const BaseError = require("../base/BaseError");
+
+class DocumentError extends BaseError {
+	#details;
+
+	#langOptions;
+
+	/**
+	 * @param {string} details Error details lang code.
+	 * @param {Object<string, string>} [langOptions={}] Options for passing on lang calling.
+	 */
+	constructor(details, langOptions = {}) {
+		super(`Document command failed! Details: ${details}.`);
+		this.#details = details;
+		this.#langOptions = langOptions;
+	}
+
+	/**
+	 * @param {CommandContext} context Command context.
+	 * @return {{details: string}} Generated options for replacements.
+	 */
+	generateEmbedOptions(context) {
+		/** @type {Lang} */
+		const lang = context.getLang();
+		return {
+			details: lang.get(`embed.errors.${this.constructor.errorCode}.details.${this.#details}`, this.#langOptions)
+		};
+	}
+
+	static errorCode = "documentError";
+}
+
+module.exports = DocumentError;
@@ -0,0 +1,7 @@
+const BaseError = require("../base/BaseError.js");
+
+class GuildOnlyError extends BaseError {
+	static errorCode = "guildOnlyError";
+}
+
+module.exports = GuildOnlyError;
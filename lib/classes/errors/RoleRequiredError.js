@@ -0,0 +1,28 @@
+const BaseError = require("../base/BaseError.js");
+
+class RoleRequiredError extends BaseError {
+	static errorCode = "roleRequiredError";
+
+	/**
+	 * Discord ID of the required role.
+	 * @type {string}
+	 */
+	roleID;
+
+	/**
+	 * @param {string} message Error message.
+	 * @param {string} roleID Discord ID of the required role.
+	 */
+	constructor(message, roleID) {
+		super(message);
+		this.roleID = roleID;
+	}
+
+	generateEmbedOptions() {
+		return {
+			roleID: this.roleID
+		};
+	}
+}
+
+module.exports = RoleRequiredError;
@@ -125,12 +125,39 @@ class Lang {
 		if (this.#initialized)
 			return log("warn", "Language packs system already loaded!");
 		log("log", "Loading languages packs in asynchronous mode...");
-		const files = await fs.readdir(process.cwd() + "/lang/");
-		// English language pack is required for work!
-		if (!files.includes("en.json")) {
-			log("error", "English language pack is not available at /lang/ directory!");
+		try {
+			this.#languagesPacks = await this.loadPacks();
+		} catch (error) {
+			log("error", error.message);
 			process.exit();
 		}
+		this.#initialized = true;
+	}
+
+	/**
+	 * Reload all packs from `/lang` directory. Current packs stay active if loading of any pack is failed.
+	 * @param {Object<string, LanguagePack>} [packs] Packs already loaded with `loadPacks()`. Used for applying packs
+	 *     together with other reloaded parts of the bot.
+	 * @return {Promise<void>}
+	 * @throws {Error} If packs loading is failed.
+	 */
+	static async reload(packs) {
+		log("log", "Reloading languages packs...");
+		this.#languagesPacks = packs ?? await this.loadPacks();
+		log("success", "Languages packs reloaded!");
+	}
+
+	/**
+	 * Load all packs from `/lang` directory without applying them.
+	 * @return {Promise<Object<string, LanguagePack>>} Loaded packs by language codes.
+	 * @throws {Error} If base language pack is not available or pack file is broken.
+	 */
+	static async loadPacks() {
+		const files = await fs.readdir(process.cwd() + "/lang/");
+		// English language pack is required for work!
+		if (!files.includes("en.json"))
+			throw new Error("English language pack is not available at /lang/ directory!");
+		const packs = {};
 		files.forEach(fileWithExtension => {
 			if (fileWithExtension.startsWith("_"))
 				return;
@@ -139,10 +166,10 @@ class Lang {
 			if (extension !== "json")
 				return log("warn", `Language pack have wrong extension at /lang/${fileWithExtension}! Skipping...`);
 			const pack = new LanguagePack(languageCode);
-			this.#languagesPacks[pack.code] = pack;
+			packs[pack.code] = pack;
 			log("success", `Language pack loaded: ${pack.languageName} (${pack.version})!`);
 		});
-		this.#initialized = true;
+		return packs;
 	}
 
 	/**
@@ -173,6 +200,14 @@ class Lang {
 	static isPackExist(code) {
 		return this.#languagesPacks.hasOwnProperty(code);
 	}
+
+	/**
+	 * Get code of the base language. It's used if no language selected and as fallback for missing texts.
+	 * @return {string} Language code.
+	 */
+	static getBaseLanguage() {
+		return this.#baseLanguage;
+	}
 }
 
 /**
@@ -36,7 +36,10 @@ class LanguagePack {
 	 * @param {string} languageCode Language code.
 	 */
 	constructor(languageCode = "") {
-		this.#fields = require(process.cwd() + "/lang/" + languageCode + ".json");
+		const packPath = require.resolve(process.cwd() + "/lang/" + languageCode + ".json");
+		// Cached file is removed, so pack created again after changes contains actual fields
+		delete require.cache[packPath];
+		this.#fields = require(packPath);
 		this.#code = languageCode;
 	}
 
@@ -0,0 +1,85 @@
+const CommandScoringRule = require("./scoring/CommandScoringRule");
+const DuplicateScoringRule = require("./scoring/DuplicateScoringRule");
+const CooldownScoringRule = require("./scoring/CooldownScoringRule");
+const ChannelMultiplierScoringRule = require("./scoring/ChannelMultiplierScoringRule");
+const CapScoringRule = require("./scoring/CapScoringRule");
+
+/**
+ * # Scoring Pipeline
+ *
+ * Calculates statistics score of the message. Base score is amount of words in the message, then it is passed through
+ * the scoring rules in order. Rules are configured by guild and channel settings.
+ *
+ * Some rules remember previous messages of members, so the same pipeline instance must be used for all messages.
+ * @example
+ * const pipeline = new ScoringPipeline();
+ * pipeline.addRule(new CustomScoringRule());
+ * pipeline.score(message, { ...databaseInstances, isCommand: false });
+ */
+class ScoringPipeline {
+	/**
+	 * @type {BaseScoringRule[]}
+	 */
+	#rules;
+
+	/**
+	 * @param {BaseScoringRule[]} [rules] (Optional) Scoring rules. Default rules are used if not set.
+	 */
+	constructor(rules = this.constructor.createDefaultRules()) {
+		this.#rules = rules;
+	}
+
+	/**
+	 * Add rule to the end of pipeline.
+	 * @param {BaseScoringRule} rule Scoring rule.
+	 * @return {ScoringPipeline}
+	 */
+	addRule(rule) {
+		this.#rules.push(rule);
+		return this;
+	}
+
+	/**
+	 * Calculate score of the message.
+	 * @param {module:"discord.js".Message} message Target message.
+	 * @param {Cognitum.ScoringContext} context Database instances of the message and scoring flags.
+	 * @return {number} Calculated score.
+	 */
+	score(message, context) {
+		return this.#rules.reduce(
+			(score, rule) => rule.apply(score, message, context),
+			this.constructor.calculateBaseScore(message.content)
+		);
+	}
+
+	/**
+	 * Calculate base score from content.
+	 * @param {string} content Actual message content.
+	 * @return {number} Amount of words in content.
+	 */
+	static calculateBaseScore(content) {
+		return content.match(this.wordRegex)?.length ?? 0;
+	}
+
+	/**
+	 * Create default set of rules. Commands and duplicates are checked before cooldown, so they don't start it.
+	 * @return {BaseScoringRule[]}
+	 */
+	static createDefaultRules() {
+		return [
+			new CommandScoringRule(),
+			new DuplicateScoringRule(),
+			new CooldownScoringRule(),
+			new ChannelMultiplierScoringRule(),
+			new CapScoringRule()
+		];
+	}
+
+	/**
+	 * RegExp for calculating score from message content.
+	 * @type {RegExp}
+	 */
+	static wordRegex = /[^\s\d!?.:,@<>/\\_]{3,}/g;
+}
+
+module.exports = ScoringPipeline;
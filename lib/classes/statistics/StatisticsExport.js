@@ -0,0 +1,89 @@
+const zlib = require("zlib");
+
+/**
+ * # Statistics Export
+ *
+ * Table of statistics records serializable into CSV or JSON file. Large files are compressed with gzip.
+ * @example
+ * const table = new StatisticsExport(["user_id", "weight"], [["123", 5], ["456", 10]]);
+ * table.serialize("csv");
+ * // "user_id,weight\n123,5\n456,10\n"
+ * table.toAttachment("messages", "json");
+ * // { attachment: <Buffer>, name: "messages.json" }
+ */
+class StatisticsExport {
+	/**
+	 * @type {string[]}
+	 */
+	#columns;
+
+	/**
+	 * @type {Array<Array<string|number|null>>}
+	 */
+	#rows;
+
+	/**
+	 * @param {string[]} columns Names of the columns.
+	 * @param {Array<Array<string|number|null>>} rows Values of the rows in order of the columns.
+	 */
+	constructor(columns, rows) {
+		this.#columns = columns;
+		this.#rows = rows;
+	}
+
+	/**
+	 * Amount of exported rows.
+	 * @return {number}
+	 */
+	get length() {
+		return this.#rows.length;
+	}
+
+	/**
+	 * Serialize table into string.
+	 * @param {"csv"|"json"} format Format of the file.
+	 * @return {string}
+	 */
+	serialize(format) {
+		if (format === "json")
+			return JSON.stringify(this.#rows.map(row => Object.fromEntries(
+				this.#columns.map((column, index) => [column, row[index]])
+			)), null, "\t");
+		return [this.#columns, ...this.#rows]
+			.map(row => row.map(value => this.constructor.#escapeCsvValue(value)).join(","))
+			.join("\n") + "\n";
+	}
+
+	/**
+	 * Create attachment with serialized table. File is compressed if it's larger than compression threshold.
+	 * @param {string} name Name of the file without extension.
+	 * @param {"csv"|"json"} format Format of the file.
+	 * @return {{attachment: Buffer, name: string, compressed: boolean}}
+	 */
+	toAttachment(name, format) {
+		const content = Buffer.from(this.serialize(format), "utf8");
+		if (content.length <= this.constructor.COMPRESSION_THRESHOLD)
+			return { attachment: content, name: `${name}.${format}`, compressed: false };
+		return { attachment: zlib.gzipSync(content), name: `${name}.${format}.gz`, compressed: true };
+	}
+
+	/**
+	 * Escape value for CSV cell. Values with separators, quotes or line breaks are quoted.
+	 * @param {string|number|null} value Cell value.
+	 * @return {string}
+	 */
+	static #escapeCsvValue(value) {
+		const text = value === null || value === undefined ? "" : value.toString();
+		if (!/[",\r\n]/.test(text))
+			return text;
+		return `"${text.replace(/"/g, "\"\"")}"`;
+	}
+
+	/**
+	 * Files larger than this amount of bytes are compressed.
+	 * @type {number}
+	 */
+	static COMPRESSION_THRESHOLD = 1024 * 1024;
+}
+
+module.exports = StatisticsExport;
@@ -1,6 +1,8 @@
 const sequelize = require("sequelize");
 const { VoiceStatisticsModel } = require("../Database");
-const { MessageStatisticsModel, GuildMemberModel } = require("../Database");
+const { MessageStatisticsModel, GuildMemberModel, GuildChannelModel } = require("../Database");
+const StatisticsPeriod = require("./StatisticsPeriod");
+const VoiceStateManager = require("./VoiceStateManager");
 
 class StatisticsManager {
 	/**
@@ -16,15 +18,17 @@ class StatisticsManager {
 	}
 
 	/**
-	 * Query top channels activity for current guild.
+	 * Query top channels activity for current guild. Hidden channels are skipped.
+	 * @param {StatisticsPeriod} [period] (Optional) Period of statistics. All time statistics by default.
 	 * @return {Promise<MessageStatisticsModel[]>}
 	 */
-	async queryTopChannels() {
+	async queryTopChannels(period = new StatisticsPeriod()) {
 		return MessageStatisticsModel.findAll({
 			attributes: [
 				"id_channel",
 				[sequelize.fn("SUM", sequelize.col("weight")), "total_weight"]
 			],
+			where: this.constructor.#createMessagesCondition(period),
 			include: [
 				{
 					model: GuildMemberModel,
@@ -32,7 +36,8 @@ class StatisticsManager {
 					where: {
 						id_guild: this.#message.guild.id
 					}
-				}
+				},
+				this.constructor.#createVisibleChannelInclude()
 			],
 			group: "id_channel",
 			order: [
@@ -42,15 +47,17 @@ class StatisticsManager {
 	}
 
 	/**
-	 * Query top members of current guild.
+	 * Query top members of current guild. Messages in hidden channels are skipped.
+	 * @param {StatisticsPeriod} [period] (Optional) Period of statistics. All time statistics by default.
 	 * @return {Promise<MessageStatisticsModel[]>}
 	 */
-	async queryTopMembers() {
+	async queryTopMembers(period = new StatisticsPeriod()) {
 		return MessageStatisticsModel.findAll({
 			attributes: [
 				"id_member",
 				[sequelize.fn("SUM", sequelize.col("weight")), "total_weight"]
 			],
+			where: this.constructor.#createMessagesCondition(period),
 			include: [
 				{
 					model: GuildMemberModel,
@@ -60,7 +67,8 @@ class StatisticsManager {
 					where: {
 						id_guild: this.#message.guild.id
 					}
-				}
+				},
+				this.constructor.#createVisibleChannelInclude()
 			],
 			group: "id_member",
 			order: [
@@ -70,15 +78,65 @@ class StatisticsManager {
 	}
 
 	/**
-	 * Query top voice activity for current guild.
+	 * Query top voice activity for current guild. Sessions crossing the period borders are prorated, so only time spent
+	 * within the period is counted.
+	 * @param {StatisticsPeriod} [period] (Optional) Period of statistics. All time statistics by default.
 	 * @return {Promise<VoiceStatisticsModel[]>}
 	 */
-	async queryTopVoice() {
-		return VoiceStatisticsModel.findAll({
+	async queryTopVoice(period = new StatisticsPeriod()) {
+		return this.#queryVoiceTotals("id_member", {}, period);
+	}
+
+	/**
+	 * Query the busiest voice channels of current guild. Records without known channel and hidden channels are skipped.
+	 * @param {StatisticsPeriod} [period] (Optional) Period of statistics. All time statistics by default.
+	 * @return {Promise<VoiceStatisticsModel[]>} Instances with `id_channel` and `total_weight` values.
+	 */
+	async queryTopVoiceChannels(period = new StatisticsPeriod()) {
+		return this.#queryVoiceTotals("id_channel", { id_channel: { [sequelize.Op.ne]: null } }, period);
+	}
+
+	/**
+	 * Query top voice activity of members in the target voice channel.
+	 * @param {string} channelId Discord ID of the target voice channel.
+	 * @param {StatisticsPeriod} [period] (Optional) Period of statistics. All time statistics by default.
+	 * @return {Promise<VoiceStatisticsModel[]>}
+	 */
+	async queryTopVoiceMembersForChannel(channelId, period = new StatisticsPeriod()) {
+		return this.#queryVoiceTotals("id_member", { id_channel: channelId }, period);
+	}
+
+	/**
+	 * Check are statistics of the channel visible. Channels never seen by bot are visible.
+	 * @param {string} channelId Discord ID of the target channel.
+	 * @return {Promise<boolean>}
+	 */
+	async isChannelVisible(channelId) {
+		const channelInstance = await GuildChannelModel.findOne({
+			where: {
+				id: channelId,
+				id_guild: this.#message.guild.id
+			}
+		});
+		return (channelInstance?.["hidden"] ?? this.constructor.CHANNEL_VISIBLE) === this.constructor.CHANNEL_VISIBLE;
+	}
+
+	/**
+	 * Query top members of the target channel in current guild.
+	 * @param {string} channelId Discord ID of the target channel.
+	 * @param {StatisticsPeriod} [period] (Optional) Period of statistics. All time statistics by default.
+	 * @return {Promise<MessageStatisticsModel[]>}
+	 */
+	async queryTopMembersForChannel(channelId, period = new StatisticsPeriod()) {
+		return MessageStatisticsModel.findAll({
 			attributes: [
 				"id_member",
 				[sequelize.fn("SUM", sequelize.col("weight")), "total_weight"]
 			],
+			where: {
+				id_channel: channelId,
+				...this.constructor.#createMessagesCondition(period)
+			},
 			include: [
 				{
 					model: GuildMemberModel,
@@ -96,6 +154,499 @@ class StatisticsManager {
 			]
 		});
 	}
+
+	/**
+	 * Query total messages weight of the target member. Messages in hidden channels are skipped.
+	 * @param {number} memberId Internal ID of the guild member.
+	 * @param {StatisticsPeriod} [period] (Optional) Period of statistics. All time statistics by default.
+	 * @return {Promise<number>}
+	 */
+	async queryMemberMessagesWeight(memberId, period = new StatisticsPeriod()) {
+		const weight = await MessageStatisticsModel.sum("weight", {
+			where: {
+				id_member: memberId,
+				...this.constructor.#createMessagesCondition(period)
+			},
+			include: [
+				this.constructor.#createVisibleChannelInclude()
+			]
+		});
+		return weight || 0;
+	}
+
+	/**
+	 * Query total voice time of the target member. Records crossing the period borders are prorated.
+	 * @param {number} memberId Internal ID of the guild member.
+	 * @param {StatisticsPeriod} [period] (Optional) Period of statistics. All time statistics by default.
+	 * @return {Promise<number>} Amount of seconds.
+	 */
+	async queryMemberVoiceTime(memberId, period = new StatisticsPeriod()) {
+		const [total] = await this.#queryVoiceTotals("id_member", { id_member: memberId }, period);
+		return total ? Number(total.getDataValue("total_weight")) : 0;
+	}
+
+	/**
+	 * Query rank of the target member in the top members of current guild. Members with the same weight share the rank.
+	 * @param {number} memberId Internal ID of the guild member.
+	 * @return {Promise<number|null>} Rank starting from 1 or null if member has no messages.
+	 */
+	async queryMemberMessagesRank(memberId) {
+		return this.#queryMemberRank(MessageStatisticsModel, memberId, {}, [
+			this.constructor.#createVisibleChannelInclude()
+		]);
+	}
+
+	/**
+	 * Query rank of the target member in the top voice activity of current guild. Members with the same time share the
+	 * rank.
+	 * @param {number} memberId Internal ID of the guild member.
+	 * @return {Promise<number|null>} Rank starting from 1 or null if member has no voice time.
+	 */
+	async queryMemberVoiceRank(memberId) {
+		return this.#queryMemberRank(
+			VoiceStatisticsModel,
+			memberId,
+			this.constructor.#createVoiceCondition(new StatisticsPeriod()),
+			[]
+		);
+	}
+
+	/**
+	 * Query the most active channel of the target member. Hidden channels are skipped.
+	 * @param {number} memberId Internal ID of the guild member.
+	 * @return {Promise<MessageStatisticsModel|null>} Instance with `id_channel` and `total_weight` values.
+	 */
+	async queryMemberTopChannel(memberId) {
+		return MessageStatisticsModel.findOne({
+			attributes: [
+				"id_channel",
+				[sequelize.fn("SUM", sequelize.col("weight")), "total_weight"]
+			],
+			where: {
+				id_member: memberId
+			},
+			include: [
+				this.constructor.#createVisibleChannelInclude()
+			],
+			group: "id_channel",
+			order: [
+				[sequelize.fn("SUM", sequelize.col("weight")), "DESC"]
+			]
+		});
+	}
+
+	/**
+	 * Query messages weight of current guild grouped by days (UTC). Hidden channels are skipped unless channel is set in
+	 * the condition.
+	 * @param {{id_member?: number, id_channel?: string}} condition Condition for filtering by member or channel.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @return {Promise<Map<string, number>>} Weight of messages by dates in format `YYYY-MM-DD`.
+	 */
+	async queryDailyMessages(condition, period) {
+		// Timestamps are cast to strings, so dates are not shifted by the timezone of database connection.
+		const day = sequelize.fn("SUBSTR", sequelize.cast(sequelize.col("timestamp"), "CHAR"), 1, 10);
+		const include = [
+			{
+				model: GuildMemberModel,
+				attributes: [],
+				where: {
+					id_guild: this.#message.guild.id
+				}
+			}
+		];
+		if (!condition.id_channel)
+			include.push(this.constructor.#createVisibleChannelInclude());
+		const days = await MessageStatisticsModel.findAll({
+			attributes: [
+				[day, "day"],
+				[sequelize.fn("SUM", sequelize.col("weight")), "total_weight"]
+			],
+			where: {
+				...condition,
+				...this.constructor.#createMessagesCondition(period)
+			},
+			include,
+			group: [day],
+			raw: true
+		});
+		return new Map(days.map(value => [value["day"], parseInt(value["total_weight"]) || 0]));
+	}
+
+	/**
+	 * Query voice time of current guild grouped by days (UTC). Records are split by hourly buckets, so every record
+	 * belongs to a single day and records fully within the period are summed up by database.
+	 * @param {{id_member?: number, id_channel?: string}} condition Condition for filtering by member or channel.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @return {Promise<Map<string, number>>} Amount of seconds by dates in format `YYYY-MM-DD`.
+	 */
+	async queryDailyVoice(condition, period) {
+		// Timestamps are cast to strings, so dates are not shifted by the timezone of database connection.
+		const day = sequelize.fn("SUBSTR", sequelize.cast(sequelize.col("timestamp_begin"), "CHAR"), 1, 10);
+		const { whole, borders } = this.constructor.#splitVoicePeriod(period);
+		const wholeDays = await VoiceStatisticsModel.findAll({
+			attributes: [
+				[day, "day"],
+				[sequelize.fn("SUM", sequelize.col("weight")), "total_weight"]
+			],
+			where: {
+				...condition,
+				...this.constructor.#createVoiceCondition(period),
+				...this.constructor.#createVoiceRangeCondition([whole])
+			},
+			include: this.#createVoiceIncludes(null),
+			group: [day],
+			raw: true
+		});
+		/** @type {Map<string, number>} */
+		const days = new Map(wholeDays.map(value => [value["day"], parseInt(value["total_weight"]) || 0]));
+		const borderRecords = await this.#queryVoiceBorderRecords(null, condition, period, borders);
+		borderRecords.forEach(record => {
+			const begin = this.constructor.#parseTimestamp(record.getDataValue("timestamp_begin"));
+			const seconds = period.overlap(begin, record.getDataValue("weight"));
+			if (seconds <= 0)
+				return;
+			const day = begin.toISOString().substr(0, 10);
+			days.set(day, (days.get(day) ?? 0) + seconds);
+		});
+		return days;
+	}
+
+
+	/**
+	 * Query messages statistics records of current guild for export. Records of hidden channels are included.
+	 * @param {{id_member?: number, id_channel?: string}} condition Condition for filtering by member or channel.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @param {number} [limit] (Optional) Maximal amount of records. All records by default.
+	 * @return {Promise<Object[]>} Raw records with `GuildMemberModel.id_user` value, ordered by time.
+	 */
+	async queryMessageRecords(condition, period, limit) {
+		return MessageStatisticsModel.findAll({
+			attributes: ["id", "id_channel", "timestamp", "weight"],
+			where: {
+				...condition,
+				...this.constructor.#createMessagesCondition(period)
+			},
+			include: [
+				{
+					model: GuildMemberModel,
+					attributes: ["id_user"],
+					where: {
+						id_guild: this.#message.guild.id
+					}
+				}
+			],
+			order: [
+				["timestamp", "ASC"]
+			],
+			limit,
+			raw: true
+		});
+	}
+
+	/**
+	 * Query voice statistics records of current guild for export. Records are selected by their beginning without
+	 * prorating, time excluded by accounting rules is included with its exclusion reason.
+	 * @param {{id_member?: number, id_channel?: string}} condition Condition for filtering by member or channel.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @param {number} [limit] (Optional) Maximal amount of records. All records by default.
+	 * @return {Promise<Object[]>} Raw records with `GuildMemberModel.id_user` value, ordered by time.
+	 */
+	async queryVoiceRecords(condition, period, limit) {
+		const where = { ...condition };
+		if (!period.isUnlimited())
+			where["timestamp_begin"] = period.createCondition();
+		return VoiceStatisticsModel.findAll({
+			attributes: ["id_channel", "timestamp_begin", "weight", "exclusion"],
+			where,
+			include: [
+				{
+					model: GuildMemberModel,
+					attributes: ["id_user"],
+					where: {
+						id_guild: this.#message.guild.id
+					}
+				}
+			],
+			order: [
+				["timestamp_begin", "ASC"]
+			],
+			limit,
+			raw: true
+		});
+	}
+
+	/**
+	 * Query total voice time of current guild grouped by member or channel.
+	 * @param {"id_member"|"id_channel"} group Grouping column.
+	 * @param {Object} condition Additional condition for voice records.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @return {Promise<VoiceStatisticsModel[]>} Instances with `total_weight` value in seconds.
+	 */
+	async #queryVoiceTotals(group, condition, period) {
+		if (!period.isUnlimited())
+			return this.#queryVoiceTotalsForPeriod(group, condition, period);
+		return VoiceStatisticsModel.findAll({
+			attributes: [
+				group,
+				[sequelize.fn("SUM", sequelize.col("weight")), "total_weight"]
+			],
+			where: {
+				...condition,
+				...this.constructor.#createVoiceCondition(period)
+			},
+			include: this.#createVoiceIncludes(group),
+			group,
+			order: [
+				[sequelize.fn("SUM", sequelize.col("weight")), "DESC"]
+			]
+		});
+	}
+
+	/**
+	 * Query total voice time for the limited period. Records are split by buckets, so records fully within the period
+	 * are summed up by database and only records of the buckets crossing the period borders are prorated.
+	 * @param {"id_member"|"id_channel"} group Grouping column.
+	 * @param {Object} condition Additional condition for voice records.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @return {Promise<VoiceStatisticsModel[]>} Instances with `total_weight` value in seconds.
+	 */
+	async #queryVoiceTotalsForPeriod(group, condition, period) {
+		const { whole, borders } = this.constructor.#splitVoicePeriod(period);
+		const totals = await VoiceStatisticsModel.findAll({
+			attributes: [
+				group,
+				[sequelize.fn("SUM", sequelize.col("weight")), "total_weight"]
+			],
+			where: {
+				...condition,
+				...this.constructor.#createVoiceCondition(period),
+				...this.constructor.#createVoiceRangeCondition([whole])
+			},
+			include: this.#createVoiceIncludes(group),
+			group
+		});
+		const borderRecords = await this.#queryVoiceBorderRecords(group, condition, period, borders);
+		/** @type {Map<string, VoiceStatisticsModel>} */
+		const totalsMap = new Map(totals.map(total => {
+			total.setDataValue("total_weight", Number(total.getDataValue("total_weight")));
+			return [total.getDataValue(group).toString(), total];
+		}));
+		borderRecords.forEach(record => {
+			const seconds = period.overlap(
+				this.constructor.#parseTimestamp(record.getDataValue("timestamp_begin")),
+				record.getDataValue("weight")
+			);
+			if (seconds <= 0)
+				return;
+			const key = record.getDataValue(group).toString();
+			if (!totalsMap.has(key)) {
+				record.setDataValue("total_weight", 0);
+				totalsMap.set(key, record);
+			}
+			const target = totalsMap.get(key);
+			target.setDataValue("total_weight", target.getDataValue("total_weight") + seconds);
+		});
+		return [...totalsMap.values()].sort(
+			(a, b) => b.getDataValue("total_weight") - a.getDataValue("total_weight")
+		);
+	}
+
+	/**
+	 * Query rank of the member by all time total weight. Rank is the amount of members with bigger total plus one, so
+	 * only members above the target one are selected.
+	 * @param {typeof MessageStatisticsModel|typeof VoiceStatisticsModel} Model Statistics model.
+	 * @param {number} memberId Internal ID of the guild member.
+	 * @param {Object} condition Condition for statistics records.
+	 * @param {Object[]} includes Additional includes for filtering statistics records.
+	 * @return {Promise<number|null>} Rank starting from 1 or null if member has no records.
+	 */
+	async #queryMemberRank(Model, memberId, condition, includes) {
+		const total = await Model.sum("weight", {
+			where: {
+				...condition,
+				id_member: memberId
+			},
+			include: includes
+		});
+		if (total === null || Number.isNaN(total))
+			return null;
+		const higherMembers = await Model.findAll({
+			attributes: ["id_member"],
+			where: condition,
+			include: [
+				{
+					model: GuildMemberModel,
+					attributes: [],
+					where: {
+						id_guild: this.#message.guild.id
+					}
+				},
+				...includes
+			],
+			group: "id_member",
+			having: sequelize.where(sequelize.fn("SUM", sequelize.col("weight")), sequelize.Op.gt, total),
+			raw: true
+		});
+		return higherMembers.length + 1;
+	}
+
+	/**
+	 * Query voice records beginning within the border periods, which must be prorated.
+	 * @param {"id_member"|"id_channel"|null} group Grouping column selected with the records. Null if records are not
+	 *     grouped by column.
+	 * @param {Object} condition Additional condition for voice records.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @param {StatisticsPeriod[]} borders Border periods, see {@link StatisticsManager.#splitVoicePeriod}.
+	 * @return {Promise<VoiceStatisticsModel[]>}
+	 */
+	async #queryVoiceBorderRecords(group, condition, period, borders) {
+		if (!borders.length)
+			return [];
+		return VoiceStatisticsModel.findAll({
+			attributes: [
+				...(group ? [group] : []),
+				"timestamp_begin",
+				"weight"
+			],
+			where: {
+				...condition,
+				...this.constructor.#createVoiceCondition(period),
+				...this.constructor.#createVoiceRangeCondition(borders)
+			},
+			include: this.#createVoiceIncludes(group)
+		});
+	}
+
+	/**
+	 * Create includes for voice statistics query. Members are used for filtering records of current guild, so their
+	 * attributes are selected only for grouping by member. Hidden channels are skipped on grouping by channel.
+	 * @param {"id_member"|"id_channel"|null} group Grouping column. Null if records are not grouped by column.
+	 * @return {Object[]} Includes for `include` option.
+	 */
+	#createVoiceIncludes(group) {
+		const includes = [
+			{
+				model: GuildMemberModel,
+				attributes: group === "id_member" ? ["id_user"] : [],
+				where: {
+					id_guild: this.#message.guild.id
+				}
+			}
+		];
+		if (group === "id_channel")
+			includes.push(this.constructor.#createVisibleChannelInclude());
+		return includes;
+	}
+
+	/**
+	 * Split limited period for voice queries. Records are split by buckets, so records beginning within the `whole`
+	 * period are fully within the target one and can be summed up by database. Records beginning within the `borders`
+	 * periods can cross the target period borders and must be prorated.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @return {{whole: StatisticsPeriod, borders: StatisticsPeriod[]}}
+	 */
+	static #splitVoicePeriod(period) {
+		const maxDuration = this.MAX_VOICE_SESSION_DURATION * 1000;
+		const wholeEnd = period.to && new Date(period.to.getTime() - maxDuration);
+		const borders = [];
+		if (period.from)
+			borders.push(new StatisticsPeriod(new Date(period.from.getTime() - maxDuration), period.from));
+		if (period.to)
+			borders.push(new StatisticsPeriod(period.from > wholeEnd ? period.from : wholeEnd, period.to));
+		return {
+			whole: new StatisticsPeriod(period.from, wholeEnd),
+			borders
+		};
+	}
+
+	/**
+	 * Create condition for voice records beginning within any of the periods.
+	 * @param {StatisticsPeriod[]} periods Target periods.
+	 * @return {Object} Condition for `where` option. Empty if any of periods is unlimited.
+	 */
+	static #createVoiceRangeCondition(periods) {
+		if (periods.some(period => period.isUnlimited()))
+			return {};
+		return {
+			timestamp_begin: {
+				[sequelize.Op.or]: periods.map(period => period.createCondition())
+			}
+		};
+	}
+
+	/**
+	 * Create condition for messages statistics query.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @return {Object} Condition for `where` option.
+	 */
+	static #createMessagesCondition(period) {
+		if (period.isUnlimited())
+			return {};
+		return {
+			timestamp: period.createCondition()
+		};
+	}
+
+	/**
+	 * Create include of guild channels, which filters out hidden channels.
+	 * @return {Object} Include for `include` option.
+	 */
+	static #createVisibleChannelInclude() {
+		return {
+			model: GuildChannelModel,
+			attributes: [],
+			where: {
+				hidden: this.CHANNEL_VISIBLE
+			}
+		};
+	}
+
+	/**
+	 * Create condition for voice statistics query. Time excluded by guild accounting rules is skipped.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @return {Object} Condition for `where` option.
+	 */
+	static #createVoiceCondition(period) {
+		const condition = {
+			exclusion: null
+		};
+		if (!period.isUnlimited())
+			condition["timestamp_begin"] = period.createCondition(this.MAX_VOICE_SESSION_DURATION);
+		return condition;
+	}
+
+	/**
+	 * Parse timestamp received from statistics tables.
+	 * @param {Date|string} value Date instance or UTC timestamp string in format `YYYY-MM-DD HH:MM:SS`.
+	 * @return {Date}
+	 */
+	static #parseTimestamp(value) {
+		if (value instanceof Date)
+			return value;
+		return new Date(value.replace(" ", "T") + "Z");
+	}
+
+	/**
+	 * Maximal duration of one voice record in seconds. Sessions are split by buckets, so records never exceed them.
+	 * @type {number}
+	 */
+	static MAX_VOICE_SESSION_DURATION = VoiceStateManager.BUCKET_DURATION;
+
+	/**
+	 * Channel is shown in statistics.
+	 * @type {number}
+	 */
+	static CHANNEL_VISIBLE = 0;
+	/**
+	 * Channel is hidden from public statistics lists, but messages in it are still scored.
+	 * @type {number}
+	 */
+	static CHANNEL_HIDDEN = 1;
+	/**
+	 * Channel is hidden from public statistics lists and messages in it are not scored.
+	 * @type {number}
+	 */
+	static CHANNEL_EXCLUDED = 2;
 }
 
 module.exports = StatisticsManager;
@@ -0,0 +1,136 @@
+const { Op } = require("sequelize");
+const { toDatabaseTimestamp } = require("../Utils");
+
+/**
+ * # Statistics Period
+ *
+ * Time window for filtering statistics. Period without both borders represents all time statistics.
+ * @example
+ * StatisticsPeriod.parse("7d");
+ * // Period for the last 7 days
+ * StatisticsPeriod.parse("2020-11-01..2020-11-30");
+ * // Period from the 1st of November to the end of the 30th of November (UTC)
+ * StatisticsPeriod.parse("2020-11-01..");
+ * // Period from the 1st of November till now
+ * StatisticsPeriod.parse("page");
+ * // null
+ */
+class StatisticsPeriod {
+	/**
+	 * Beginning of the period (inclusive).
+	 * @type {Date|null}
+	 */
+	#from;
+
+	/**
+	 * End of the period (exclusive).
+	 * @type {Date|null}
+	 */
+	#to;
+
+	/**
+	 * Duration of the period in seconds for periods relative to the current time.
+	 * @type {number|null}
+	 */
+	#duration;
+
+	/**
+	 * @param {Date|null} [from=null] Beginning of the period (inclusive).
+	 * @param {Date|null} [to=null] End of the period (exclusive).
+	 * @param {number|null} [duration=null] Duration in seconds if period is relative to the current time.
+	 */
+	constructor(from = null, to = null, duration = null) {
+		this.#from = from;
+		this.#to = to;
+		this.#duration = duration;
+	}
+
+	/**
+	 * @return {Date|null}
+	 */
+	get from() {
+		return this.#from;
+	}
+
+	/**
+	 * @return {Date|null}
+	 */
+	get to() {
+		return this.#to;
+	}
+
+	/**
+	 * @return {number|null}
+	 */
+	get duration() {
+		return this.#duration;
+	}
+
+	/**
+	 * Check is this period covers all time.
+	 * @return {boolean}
+	 */
+	isUnlimited() {
+		return this.#from === null && this.#to === null;
+	}
+
+	/**
+	 * Create Sequelize condition for timestamp column.
+	 * @param {number} [extension=0] Amount of seconds to extend beginning of the period. Used for selecting voice
+	 *     sessions started before the period, but lasted into it.
+	 * @return {Object} Condition for `where` option.
+	 */
+	createCondition(extension = 0) {
+		const condition = {};
+		if (this.#from !== null)
+			condition[Op.gte] = toDatabaseTimestamp(new Date(this.#from.getTime() - extension * 1000));
+		if (this.#to !== null)
+			condition[Op.lt] = toDatabaseTimestamp(this.#to);
+		return condition;
+	}
+
+	/**
+	 * Calculate amount of seconds of the session which fits into this period.
+	 * @param {Date} begin Session beginning.
+	 * @param {number} seconds Session duration in seconds.
+	 * @return {number} Amount of seconds within this period.
+	 */
+	overlap(begin, seconds) {
+		const start = Math.max(begin.getTime(), this.#from?.getTime() ?? -Infinity);
+		const end = Math.min(begin.getTime() + seconds * 1000, this.#to?.getTime() ?? Infinity);
+		return Math.max(0, Math.round((end - start) / 1000));
+	}
+
+	/**
+	 * Parse period from command argument.
+	 *
+	 * Supported formats:
+	 * + `all` — all time statistics;
+	 * + `<n>h` or `<n>d` — last amount of hours or days;
+	 * + `YYYY-MM-DD..YYYY-MM-DD` — dates range in UTC, both dates are inclusive and one of them can be omitted.
+	 * @param {string} value Command argument.
+	 * @return {StatisticsPeriod|null} Parsed period or null if argument is not a period.
+	 */
+	static parse(value) {
+		if (value === "all")
+			return new StatisticsPeriod();
+		const relative = /^(\d{1,4})([hd])$/.exec(value);
+		if (relative) {
+			const duration = parseInt(relative[1]) * (relative[2] === "d" ? 86400 : 3600);
+			if (duration <= 0)
+				return null;
+			return new StatisticsPeriod(new Date(Date.now() - duration * 1000), null, duration);
+		}
+		const range = /^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/.exec(value);
+		if (!range || (!range[1] && !range[2]))
+			return null;
+		const from = range[1] ? new Date(`${range[1]}T00:00:00Z`) : null;
+		// End date is inclusive, so period ends at the beginning of the next day.
+		const to = range[2] ? new Date(new Date(`${range[2]}T00:00:00Z`).getTime() + 86400000) : null;
+		if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime())) || (from && to && from >= to))
+			return null;
+		return new StatisticsPeriod(from, to);
+	}
+}
+
+module.exports = StatisticsPeriod;
@@ -1,6 +1,13 @@
-const { createModuleLog } = require("../Utils");
+const { createModuleLog, toDatabaseTimestamp } = require("../Utils");
 const log = createModuleLog("VoiceStateManager");
-const { VoiceStatisticsModel, GuildMemberModel, UserModel, GuildModel } = require("../Database");
+const {
+	VoiceStatisticsModel,
+	VoiceSessionModel,
+	GuildChannelModel,
+	GuildMemberModel,
+	UserModel,
+	GuildModel
+} = require("../Database");
 const BaseDiscordModule = require("../base/BaseDiscordModule");
 
 /**
@@ -8,109 +15,315 @@ const BaseDiscordModule = require("../base/BaseDiscordModule");
  *
  * Class for tracking amount of voice activity time. Requires Discord client.
  *
- * @todo Split voice stats entries to prevent from pushing time exceeding TIME type limit (838:59:59).
+ * Sessions in progress are saved to the database and confirmed by heartbeat, so they can be recovered after restart.
+ * Sessions left open during downtime are closed at the last heartbeat, then members already sitting in voice channels
+ * are tracked from the moment bot is ready.
+ *
+ * Time is stored in seconds and split into hourly buckets aligned to the UTC hours, so sessions crossing borders of the
+ * statistics period can be counted correctly.
+ *
+ * ## Accounting rules
+ *
+ * Guilds can exclude time spent in the AFK channel, time spent deafened or muted and time spent in channels with not
+ * enough non-bot members. Excluded time is still recorded, but with the reason of exclusion, and it is not counted by
+ * the statistics queries. Every change of the exclusion reason or the voice channel starts a new session.
  */
 class VoiceStateManager extends BaseDiscordModule {
-	/** @type {Object<Date>} */
+	/** @type {Object<{begin: Date, exclusion: number|null, channel: string}>} */
 	#storage = {};
 
-	/** @type {{guilds: Object<boolean>, users: Object<boolean>}} */
+	/** @type {{users: Object<boolean>, channels: Object<boolean>}} */
 	#cache = {
-		guilds: {},
-		users: {}
+		users: {},
+		channels: {}
 	};
 
+	/**
+	 * Voice events waiting for handling. Events are handled one by one, so sessions of the same member are never
+	 * refreshed concurrently.
+	 * @type {Array<module:"discord.js".VoiceState[]>}
+	 */
+	#pendingEvents = [];
+
+	/**
+	 * Are events handled now. Events are not handled until sessions recovery is finished.
+	 * @type {boolean}
+	 */
+	#handlingEvents = true;
+
 	/**
 	 * Initialize manager.
 	 * @return {Promise<VoiceStateManager>}
 	 */
 	async initialize() {
 		this.#attachEventListeners();
+		this.client.once("ready", async () => {
+			try {
+				await this.#recoverSessions();
+				await this.#reconcileVoiceStates();
+			} catch (error) {
+				log("error", "Failed to recover voice sessions.");
+				console.error(error);
+			}
+			this.#handlingEvents = false;
+			await this.#flushPendingEvents();
+		});
 		return this;
 	}
 
 	/**
-	 * Attach listeners to required DiscordJS events.
+	 * Confirm that all tracked sessions are still in progress. Called by {@link VoiceHeartbeatTask}.
+	 * @return {Promise<void>}
+	 */
+	async heartbeat() {
+		const members = Object.keys(this.#storage);
+		if (!members.length)
+			return;
+		await VoiceSessionModel.update({
+			timestamp_heartbeat: new Date()
+		}, {
+			where: {
+				id_member: members
+			}
+		});
+	}
+
+	/**
+	 * Close sessions saved before restart. Time after last heartbeat is unknown, so sessions are closed at it.
+	 * @return {Promise<void>}
+	 */
+	async #recoverSessions() {
+		const sessions = await VoiceSessionModel.findAll({
+			include: [
+				{
+					model: GuildMemberModel,
+					where: {
+						id_guild: this.client.guilds.cache.keyArray()
+					}
+				}
+			]
+		});
+		for (const session of sessions) {
+			await this.constructor.#sendVoiceStatistic(session.GuildMemberModel, {
+				begin: session["timestamp_begin"],
+				exclusion: session["exclusion"],
+				channel: session["id_channel"]
+			}, session["timestamp_heartbeat"]);
+			await session.destroy();
+		}
+		if (sessions.length)
+			log("log", `Closed ${sessions.length} voice session(s) left open before restart.`);
+	}
+
+	/**
+	 * Start tracking members which are already in voice channels. Members with tracked sessions are skipped.
+	 * @return {Promise<void>}
+	 */
+	async #reconcileVoiceStates() {
+		for (const guild of this.client.guilds.cache.values()) {
+			const guildInstance = await this.#resolveGuild(guild);
+			for (const voiceState of guild.voiceStates.cache.values()) {
+				if (!voiceState.channelID || !voiceState.member)
+					continue;
+				const targetMember = await this.#resolveMember(voiceState);
+				if (this.#storage.hasOwnProperty(targetMember["id"]))
+					continue;
+				await this.#refreshSession(voiceState, guildInstance);
+			}
+		}
+	}
+
+	/**
+	 * Handle queued voice events in order of receiving. Events received while queue is handled are added to the end of
+	 * it and handled by the same call.
+	 * @return {Promise<void>}
+	 */
+	async #flushPendingEvents() {
+		if (this.#handlingEvents)
+			return;
+		this.#handlingEvents = true;
+		while (this.#pendingEvents.length)
+			await this.#processVoiceStateUpdate(this.#pendingEvents.shift());
+		this.#handlingEvents = false;
+	}
+
+	/**
+	 * Attach listeners to required DiscordJS events. Events are queued and handled after sessions recovery.
 	 */
 	#attachEventListeners() {
 		this.client.on("voiceStateUpdate", async (...event) => {
-			try {
-				await this.#handleVoiceStateUpdate(...event);
-			} catch (error) {
-				log("error", "Failed to handle voice state update.");
-				console.error(error);
-			}
+			this.#pendingEvents.push(event);
+			await this.#flushPendingEvents();
 		});
 	}
 
 	/**
-	 * Handle voice state event.
+	 * Handle voice state event and log errors.
+	 * @param {module:"discord.js".VoiceState[]} event States before and after event happened.
+	 * @return {Promise<void>}
+	 */
+	async #processVoiceStateUpdate([before, after]) {
+		try {
+			await this.#handleVoiceStateUpdate(before, after);
+		} catch (error) {
+			log("error", "Failed to handle voice state update.");
+			console.error(error);
+		}
+	}
+
+	/**
+	 * Handle voice state event. Amount of members in both channels is changed, so sessions of other members in these
+	 * channels are refreshed too if guild requires minimal amount of members.
 	 * @param {module:"discord.js".VoiceState} before State before event happened.
 	 * @param {module:"discord.js".VoiceState} after State after event happened.
 	 */
 	async #handleVoiceStateUpdate(before, after) {
-		const databaseMember = await this.#resolveMember(after);
-		if (before.channelID && !after.channelID)
-			return await this.#onDisconnected(databaseMember);
-		if (!before.channelID && after.channelID)
-			return await this.#onJoined(databaseMember);
-		if (before.channelID && after.channelID)
-			return await this.#onUpdated(databaseMember);
-		throw new Error("Unexpected state happened!");
+		const guildInstance = await this.#resolveGuild(after.guild);
+		await this.#refreshSession(after, guildInstance);
+		if (guildInstance["voice_min_members"] <= 1 || before.channelID === after.channelID)
+			return;
+		for (const channel of [before.channel, after.channel]) {
+			if (!channel)
+				continue;
+			for (const member of channel.members.values()) {
+				if (member.id !== after.id)
+					await this.#refreshSession(member.voice, guildInstance);
+			}
+		}
 	}
 
 	/**
-	 * Handle voice join.
-	 * @param {GuildMemberModel} targetMember Database member instance.
+	 * Start, finish or split session of the member depending on the voice state. Stored session is replaced before
+	 * pushing the previous one, so it can't be pushed twice.
+	 * @param {module:"discord.js".VoiceState} voiceState Current voice state of the member.
+	 * @param {GuildModel} guildInstance Guild database instance with accounting rules.
 	 * @return {Promise<void>}
 	 */
-	async #onDisconnected(targetMember) {
-		if (!this.#storage.hasOwnProperty(targetMember["id"]))
+	async #refreshSession(voiceState, guildInstance) {
+		const targetMember = await this.#resolveMember(voiceState);
+		if (!voiceState.channelID)
+			return await this.#finishSession(targetMember);
+		const session = this.#storage[targetMember["id"]];
+		const exclusion = this.constructor.resolveExclusion(voiceState, guildInstance);
+		if (session && session.exclusion === exclusion && session.channel === voiceState.channelID)
 			return;
-		await this.constructor.#sendVoiceStatistic(targetMember, this.#storage[targetMember["id"]]);
+		const newSession = {
+			begin: new Date(),
+			exclusion,
+			channel: voiceState.channelID
+		};
+		this.#storage[targetMember["id"]] = newSession;
+		if (session)
+			await this.constructor.#sendVoiceStatistic(targetMember, session, newSession.begin);
+		await this.#resolveChannel(voiceState);
+		await this.#saveSession(targetMember, newSession);
 	}
 
 	/**
-	 * Handle member join to voice channel.
+	 * Finish session of the member and push it to the statistics. Session is removed from storage before pushing.
 	 * @param {GuildMemberModel} targetMember Database member instance.
 	 * @return {Promise<void>}
 	 */
-	async #onJoined(targetMember) {
-		this.#storage[targetMember["id"]] = new Date();
+	async #finishSession(targetMember) {
+		const session = this.#storage[targetMember["id"]];
+		if (!session)
+			return;
+		delete this.#storage[targetMember["id"]];
+		await this.constructor.#sendVoiceStatistic(targetMember, session);
+		await VoiceSessionModel.destroy({
+			where: {
+				id_member: targetMember["id"]
+			}
+		});
 	}
 
 	/**
-	 * Handle member moved from channel to channel or just changed their state.
+	 * Save started session of the member to the database.
 	 * @param {GuildMemberModel} targetMember Database member instance.
+	 * @param {{begin: Date, exclusion: number|null, channel: string}} session Started session.
 	 * @return {Promise<void>}
 	 */
-	async #onUpdated(targetMember) {
-		if (!this.#storage.hasOwnProperty(targetMember["id"]))
-			return void (this.#storage[targetMember["id"]] = new Date());
-		await this.constructor.#sendVoiceStatistic(targetMember, this.#storage[targetMember["id"]]);
-		this.#storage[targetMember["id"]] = new Date();
+	async #saveSession(targetMember, session) {
+		await VoiceSessionModel.upsert({
+			id_member: targetMember["id"],
+			timestamp_begin: session.begin,
+			timestamp_heartbeat: session.begin,
+			exclusion: session.exclusion,
+			id_channel: session.channel
+		});
 	}
 
 	/**
-	 * Push statistics to the voice stats table.
+	 * Push statistics to the voice stats table. Session is split into buckets, one record per each bucket.
 	 * @param {GuildMemberModel} targetMember Target member instance.
+	 * @param {{begin: Date, exclusion: number|null, channel: string|null}} session Finished session.
+	 * @param {Date} [endDate] (Optional) Ending date. Current date by default.
+	 * @return {Promise<void>}
+	 */
+	static async #sendVoiceStatistic(targetMember, session, endDate = new Date()) {
+		const records = this.#splitIntoBuckets(session.begin, endDate).map(bucket => ({
+			id_member: targetMember["id"],
+			id_channel: session.channel,
+			weight: bucket.seconds,
+			timestamp_begin: toDatabaseTimestamp(bucket.begin),
+			exclusion: session.exclusion
+		}));
+		if (records.length)
+			await VoiceStatisticsModel.bulkCreate(records);
+	}
+
+	/**
+	 * Split session into parts fitting into buckets. Parts shorter than 1 second are skipped.
 	 * @param {Date} startDate Starting date.
+	 * @param {Date} endDate Ending date.
+	 * @return {{begin: Date, seconds: number}[]}
+	 */
+	static #splitIntoBuckets(startDate, endDate) {
+		const bucketDuration = this.BUCKET_DURATION * 1000;
+		const result = [];
+		for (let begin = startDate.getTime(); begin < endDate.getTime();) {
+			const end = Math.min(endDate.getTime(), (Math.floor(begin / bucketDuration) + 1) * bucketDuration);
+			const seconds = Math.floor((end - begin) / 1000);
+			if (seconds >= 1)
+				result.push({ begin: new Date(begin), seconds });
+			begin = end;
+		}
+		return result;
+	}
+
+	/**
+	 * Resolve guild from database.
+	 * @param {module:"discord.js".Guild} guild Target guild.
+	 * @return {Promise<GuildModel>} Guild model instance.
+	 */
+	async #resolveGuild(guild) {
+		const [guildInstance] = await GuildModel.findOrCreate({
+			where: {
+				id: guild.id
+			}
+		});
+		return guildInstance;
+	}
+
+	/**
+	 * Resolve voice channel from database, so statistics can refer to it. Guild must be already resolved.
+	 * @param {module:"discord.js".VoiceState} voiceState Voice state with target channel.
 	 * @return {Promise<void>}
 	 */
-	static async #sendVoiceStatistic(targetMember, startDate) {
-		const now = new Date();
-		// Do not send stats lower then 1 second
-		if (now - startDate < 1000)
+	async #resolveChannel(voiceState) {
+		if (this.#cache.channels.hasOwnProperty(voiceState.channelID))
 			return;
-		await VoiceStatisticsModel.create({
-			id_member: targetMember["id"],
-			weight: this.#convertToTime(now - startDate),
-			timestamp_begin: startDate.toISOString().replace("T", " ").substr(0, 19)
+		await GuildChannelModel.findOrCreate({
+			where: {
+				id: voiceState.channelID,
+				id_guild: voiceState.guild.id
+			}
 		});
+		this.#cache.channels[voiceState.channelID] = true;
 	}
 
 	/**
-	 * Resolve guild member from database.
+	 * Resolve guild member from database. Guild must be already resolved.
 	 * @param {module:"discord.js".VoiceState} afterState
 	 * @return {Promise<GuildMemberModel>} Guild member model instance.
 	 * @todo Invalidate cache after some time. Maybe with special caching manager.
@@ -124,14 +337,6 @@ class VoiceStateManager extends BaseDiscordModule {
 			});
 			this.#cache.users[user["id"]] = true;
 		}
-		if (!this.#cache.guilds.hasOwnProperty(afterState.guild.id)) {
-			const [guild] = await GuildModel.findOrCreate({
-				where: {
-					id: afterState.guild.id
-				}
-			});
-			this.#cache.guilds[guild["id"]] = true;
-		}
 		const [member] = await GuildMemberModel.findOrCreate({
 			where: {
 				id_guild: afterState.guild.id,
@@ -142,17 +347,34 @@ class VoiceStateManager extends BaseDiscordModule {
 	}
 
 	/**
-	 * Convert difference in milliseconds to string represents TIME data type in database.
-	 * @param {number} diff Difference between two {@link Date} objects.
-	 * @return {string} String in format `00:00:00` represents amount of time.
+	 * Resolve reason of excluding voice time of the member from statistics.
+	 * @param {module:"discord.js".VoiceState} voiceState Current voice state of the member.
+	 * @param {GuildModel} guildInstance Guild database instance with accounting rules.
+	 * @return {number|null} One of `EXCLUSION_*` values or null if time must be counted.
 	 */
-	static #convertToTime(diff) {
-		const result = [];
-		result.unshift(Math.floor(diff / 1000));
-		result.unshift(Math.floor(result[0] / 60));
-		result.unshift(Math.floor(result[0] / 60));
-		return result.map((value, index) => !index ? value : value % 60).join(":");
+	static resolveExclusion(voiceState, guildInstance) {
+		if (guildInstance["voice_ignore_afk"] && voiceState.channelID === voiceState.guild.afkChannelID)
+			return this.EXCLUSION_AFK;
+		if (guildInstance["voice_ignore_deafened"] && voiceState.deaf)
+			return this.EXCLUSION_DEAFENED;
+		if (guildInstance["voice_ignore_muted"] && voiceState.mute)
+			return this.EXCLUSION_MUTED;
+		const members = voiceState.channel?.members.filter(member => !member.user.bot).size ?? 0;
+		if (members < guildInstance["voice_min_members"])
+			return this.EXCLUSION_ALONE;
+		return null;
 	}
+
+	static EXCLUSION_AFK = 1;
+	static EXCLUSION_DEAFENED = 2;
+	static EXCLUSION_MUTED = 3;
+	static EXCLUSION_ALONE = 4;
+
+	/**
+	 * Duration of one voice statistics bucket in seconds.
+	 * @type {number}
+	 */
+	static BUCKET_DURATION = 3600;
 }
 
 module.exports = VoiceStateManager;
@@ -0,0 +1,14 @@
+const BaseScoringRule = require("../../base/BaseScoringRule");
+
+/**
+ * Score of one message is limited by the guild cap.
+ */
+class CapScoringRule extends BaseScoringRule {
+	apply(score, message, context) {
+		if (context.guild["score_cap"] > 0)
+			return Math.min(score, context.guild["score_cap"]);
+		return score;
+	}
+}
+
+module.exports = CapScoringRule;
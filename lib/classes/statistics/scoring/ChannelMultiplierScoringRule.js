@@ -0,0 +1,12 @@
+const BaseScoringRule = require("../../base/BaseScoringRule");
+
+/**
+ * Score is multiplied by the multiplier of the message channel.
+ */
+class ChannelMultiplierScoringRule extends BaseScoringRule {
+	apply(score, message, context) {
+		return Math.round(score * (context.channel["score_multiplier"] ?? 1));
+	}
+}
+
+module.exports = ChannelMultiplierScoringRule;
@@ -0,0 +1,14 @@
+const BaseScoringRule = require("../../base/BaseScoringRule");
+
+/**
+ * Messages calling bot commands are not scored.
+ */
+class CommandScoringRule extends BaseScoringRule {
+	apply(score, message, context) {
+		if (context.guild["score_ignore_commands"] && context.isCommand)
+			return 0;
+		return score;
+	}
+}
+
+module.exports = CommandScoringRule;
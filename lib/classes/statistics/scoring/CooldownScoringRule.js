@@ -0,0 +1,51 @@
+const BaseScoringRule = require("../../base/BaseScoringRule");
+
+/**
+ * Messages sent during cooldown after the last scored message of the same member are not scored.
+ */
+class CooldownScoringRule extends BaseScoringRule {
+	/**
+	 * Last scored message of each member with the time when its cooldown expires.
+	 * @type {Map<number, {time: number, expiresAt: number}>}
+	 */
+	#lastScored = new Map();
+
+	/**
+	 * Timestamp of the last removing of expired cooldowns.
+	 * @type {number}
+	 */
+	#sweptAt = Date.now();
+
+	apply(score, message, context) {
+		const time = message.createdTimestamp;
+		this.#sweep(time);
+		const cooldown = context.guild["score_cooldown"] * 1000;
+		if (score <= 0 || cooldown <= 0)
+			return score;
+		if (time - (this.#lastScored.get(context.member["id"])?.time ?? -Infinity) < cooldown)
+			return 0;
+		this.#lastScored.set(context.member["id"], { time, expiresAt: time + cooldown });
+		return score;
+	}
+
+	/**
+	 * Remove cooldowns which are already expired, so members who stopped writing are not stored.
+	 * @param {number} now Current timestamp.
+	 */
+	#sweep(now) {
+		if (now - this.#sweptAt < this.constructor.SWEEP_INTERVAL * 1000)
+			return;
+		this.#sweptAt = now;
+		for (const [memberId, lastScored] of this.#lastScored)
+			if (lastScored.expiresAt <= now)
+				this.#lastScored.delete(memberId);
+	}
+
+	/**
+	 * Interval in seconds between removing of expired cooldowns.
+	 * @type {number}
+	 */
+	static SWEEP_INTERVAL = 60;
+}
+
+module.exports = CooldownScoringRule;
@@ -0,0 +1,34 @@
+const BaseScoringRule = require("../../base/BaseScoringRule");
+
+/**
+ * Messages repeating the previous message of the same member are not scored. Content is compared case-insensitively
+ * and without extra whitespaces.
+ */
+class DuplicateScoringRule extends BaseScoringRule {
+	/**
+	 * Normalized content of the last message of each member. Map is ordered from the least recently active member, so
+	 * the oldest entries are removed when cache size exceeds the limit.
+	 * @type {Map<number, string>}
+	 */
+	#lastContent = new Map();
+
+	apply(score, message, context) {
+		const content = message.content.toLowerCase().replace(/\s+/g, " ").trim();
+		const previous = this.#lastContent.get(context.member["id"]);
+		this.#lastContent.delete(context.member["id"]);
+		this.#lastContent.set(context.member["id"], content);
+		if (this.#lastContent.size > this.constructor.CACHE_SIZE)
+			this.#lastContent.delete(this.#lastContent.keys().next().value);
+		if (context.guild["score_ignore_duplicates"] && content.length && previous === content)
+			return 0;
+		return score;
+	}
+
+	/**
+	 * Maximal amount of members whose last message content is stored.
+	 * @type {number}
+	 */
+	static CACHE_SIZE = 10000;
+}
+
+module.exports = DuplicateScoringRule;
@@ -141,6 +141,16 @@ class TasksQueue extends BaseDiscordModule {
 		this.#emitter.emit(this.constructor.#EVENT_TASK_ADDED, task);
 	}
 
+	/**
+	 * Get tasks waiting in the queue.
+	 * @return {BaseTask[]} Copy of the tasks list sorted by execution time.
+	 */
+	getTasks() {
+		return this.#tasksList
+			.filter(task => task instanceof BaseTask)
+			.sort((first, second) => first.time - second.time);
+	}
+
 	static #EVENT_TASK_ADDED = "taskAdded";
 	static #MAX_TIMER_TIME = 864000000;
 }
@@ -0,0 +1,35 @@
+const BaseTask = require("../../base/BaseTask");
+const { createModuleLog } = require("../../Utils");
+const log = createModuleLog("VoiceHeartbeatTask");
+
+/**
+ * Task for confirming voice sessions in progress. Last heartbeat is used for closing sessions after restart.
+ */
+class VoiceHeartbeatTask extends BaseTask {
+	/**
+	 * @property {Object} options Options.
+	 * @property {CognitumClient} options.discordClient Discord client.
+	 * @return {Promise<void>}
+	 */
+	async run(options) {
+		try {
+			await options.discordClient.voiceStateManager.heartbeat();
+		} catch (error) {
+			log("error", "Failed to update voice sessions heartbeat!");
+			console.error(error);
+		}
+		options.discordClient.taskQueue.pushTask(
+			new VoiceHeartbeatTask(null, new Date().getTime() + this.constructor.INTERVAL)
+		);
+	}
+
+	/**
+	 * Interval between heartbeats in milliseconds.
+	 * @type {number}
+	 */
+	static INTERVAL = 60000;
+	static save = false;
+	static code = "voiceHeartbeat";
+}
+
+module.exports = VoiceHeartbeatTask;
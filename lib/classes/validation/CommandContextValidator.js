@@ -39,7 +39,7 @@ class CommandContextValidator {
 				continue;
 			if (!Validators.hasOwnProperty(validator))
 				continue;
-			Validators[validator]({
+			await Validators[validator]({
 				context: this.#context,
 				options: this.#options[validator]
 			});
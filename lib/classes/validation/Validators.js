@@ -1,6 +1,8 @@
 const CallerPermissionError = require("../errors/CallerPermissionError.js");
 const BotPermissionError = require("../errors/BotPermissionError.js");
 const ArgumentError = require("../errors/ArgumentError.js");
+const AccessLevelError = require("../errors/AccessLevelError.js");
+const AccessManager = require("../AccessManager.js");
 
 /**
  * Check target method permission.
@@ -36,12 +38,14 @@ function checkPermission(targetMember, permissions, mode) {
 // noinspection JSUnusedGlobalSymbols
 module.exports = {
 	/**
-	 * Validate caller with list of required permissions.
+	 * Validate caller with list of required permissions. Skipped in direct messages, where there are no permissions.
 	 * @param {Object} config Data for validator function.
 	 * @param {CommandContext} config.context Command context for validation.
 	 * @param {PermissionString|PermissionString[]} config.options Permission or array of permissions to check.
 	 */
 	callerPermission({ context, options }) {
+		if (context.isDirect())
+			return;
 		checkPermission(
 			context.getMessage().member,
 			options,
@@ -49,18 +53,31 @@ module.exports = {
 		);
 	},
 	/**
-	 * Validate bot with list of required permissions.
+	 * Validate bot with list of required permissions. Skipped in direct messages, where there are no permissions.
 	 * @param {Object} config Data for validator function.
 	 * @param {CommandContext} config.context Command context for validation.
 	 * @param {PermissionString|PermissionString[]} config.options Permission or array of permissions to check.
 	 */
 	botPermission({ context, options }) {
+		if (context.isDirect())
+			return;
 		checkPermission(
 			context.getMessage().guild.me,
 			options,
 			"bot"
 		);
 	},
+	/**
+	 * Validate bot access level of the caller.
+	 * @param {Object} config Data for validator function.
+	 * @param {CommandContext} config.context Command context for validation.
+	 * @param {Cognitum.AccessLevelCode} config.options Minimal required access level.
+	 * @return {Promise<void>}
+	 */
+	async access({ context, options }) {
+		if (await AccessManager.resolve(context) < AccessManager.parseLevel(options))
+			throw new AccessLevelError("Caller access level is too low!", options);
+	},
 	/**
 	 * Validate arguments passed into command.
 	 * @param {Object} config Data for validator function.
@@ -25,6 +25,7 @@ class AboutCommand extends BaseCommand {
 
 	static code = "about";
 	static category = CoreCategory.getCode();
+	static dmAllowed = true;
 }
 
 module.exports = AboutCommand;
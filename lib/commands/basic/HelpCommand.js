@@ -1,5 +1,6 @@
 const BaseCommand = require("../../classes/base/BaseCommand.js");
 const CommandsRegistry = require("../../classes/commands/CommandsRegistry.js");
+const CommandRules = require("../../classes/commands/CommandRules.js");
 const CoreCategory = require("../../categories/CoreCategory.js");
 const DefaultEmbed = require("../../classes/embed/DefaultEmbed.js");
 const ErrorEmbed = require("../../classes/embed/ErrorEmbed.js");
@@ -16,6 +17,7 @@ class HelpCommand extends BaseCommand {
 	static usage = this.code + " [<command>]";
 	static aliases = ["halp", "h"];
 	static category = CoreCategory.getCode();
+	static dmAllowed = true;
 	static examples = [
 		"exampleNoParams",
 		"exampleWithParams"
@@ -28,15 +30,23 @@ class HelpCommand extends BaseCommand {
 			);
 		delete response.description;
 		const map = CommandsRegistry.getCommandsMap();
+		const rules = await this.#loadRules();
 		for (const categoryName in map) {
 			if (!map.hasOwnProperty(categoryName))
 				continue;
 			const CurrentCategory = CommandsRegistry.findCategory(categoryName);
+			// Only commands available in direct messages are listed there, disabled in guild commands are hidden
+			const commands = map[categoryName].filter(code => rules
+				? !rules.isDisabled(CommandsRegistry.findCommand(code))
+				: CommandsRegistry.findCommand(code).isDmAllowed()
+			);
+			if (!commands.length)
+				continue;
 			response.addField(
 				this.resolveLang(
 					CurrentCategory.getTitle()
 				),
-				"`" + map[categoryName].join("` `") + "`"
+				"`" + commands.join("` `") + "`"
 			);
 		}
 		return response;
@@ -44,7 +54,8 @@ class HelpCommand extends BaseCommand {
 
 	async generateCommandInfo(commandName) {
 		const CommandClass = CommandsRegistry.findCommand(commandName);
-		if (!CommandClass || !(CommandClass.prototype instanceof BaseCommand)) {
+		const rules = await this.#loadRules();
+		if (!CommandClass || !(CommandClass.prototype instanceof BaseCommand) || rules?.isDisabled(CommandClass)) {
 			return new ErrorEmbed(this.context, "self")
 				.setTitle(
 					this.resolveLang("embed.errors.commandNotFound.title", {
@@ -91,6 +102,14 @@ class HelpCommand extends BaseCommand {
 		}
 		return details;
 	}
+
+	/**
+	 * Load command rules of the current guild.
+	 * @return {Promise<CommandRules|null>} Rules or null in direct messages.
+	 */
+	async #loadRules() {
+		return this.context.isDirect() ? null : await CommandRules.load(this.message.guild.id);
+	}
 }
 
 module.exports = HelpCommand;
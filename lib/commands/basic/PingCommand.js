@@ -6,6 +6,7 @@ const DefaultEmbed = require("../../classes/embed/DefaultEmbed.js");
 class PingCommand extends BaseCommand {
 	static code = "ping";
 	static category = CoreCategory.getCode();
+	static dmAllowed = true;
 
 	async run() {
 		return new DefaultEmbed(this.context, "self")
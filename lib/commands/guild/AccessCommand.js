@@ -0,0 +1,168 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const GuildCategory = require("../../categories/GuildCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const AccessManager = require("../../classes/AccessManager");
+const { GuildMemberModel, GuildRoleModel } = require("../../classes/Database");
+const { Op } = require("sequelize");
+
+class AccessCommand extends BaseCommand {
+	async run() {
+		if (this.args.length === 0)
+			return await this.showAccess();
+		if (this.args[0] === "role")
+			return await this.setRoleAccess(this.params.role, this.params.level);
+		return await this.setMemberAccess(this.params.member, this.params.level);
+	}
+
+	/**
+	 * Show access level of the caller and list of roles and members with assigned levels.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showAccess() {
+		const where = {
+			id_guild: this.message.guild.id,
+			access: {
+				[Op.gt]: AccessManager.LEVEL_USER
+			}
+		};
+		const roles = await GuildRoleModel.findAll({ where, order: [["access", "DESC"]] });
+		const members = await GuildMemberModel.findAll({ where, order: [["access", "DESC"]] });
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.access.settingsTitle", {
+				guildName: this.message.guild.name
+			})
+		).setDescription(
+			this.resolveLang("command.access.current", {
+				accessLevel: this.#resolveLevelName(await AccessManager.resolve(this.context))
+			})
+		).addField(
+			this.resolveLang("command.access.rolesTitle"),
+			roles.length
+				? roles.map(role => this.resolveLang("command.access.role", {
+					roleID: role["id"].toString(),
+					accessLevel: this.#resolveLevelName(role["access"])
+				})).join("\n")
+				: this.resolveLang("command.access.empty")
+		).addField(
+			this.resolveLang("command.access.membersTitle"),
+			members.length
+				? members.map(member => this.resolveLang("command.access.member", {
+					memberID: member["id_user"].toString(),
+					accessLevel: this.#resolveLevelName(member["access"])
+				})).join("\n")
+				: this.resolveLang("command.access.empty")
+		);
+		return reply;
+	}
+
+	/**
+	 * Set access level of the role.
+	 * @param {module:"discord.js".Role} role Target role.
+	 * @param {Cognitum.AccessLevelCode} levelCode Code of the new access level.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setRoleAccess(role, levelCode) {
+		const [roleInstance] = await GuildRoleModel.findOrCreate({
+			where: {
+				id: role.id,
+				id_guild: this.message.guild.id
+			}
+		});
+		roleInstance.set("access", AccessManager.parseLevel(levelCode));
+		await roleInstance.save();
+		return this.#createUpdatedReply(
+			this.resolveLang("command.access.role", {
+				roleID: role.id,
+				accessLevel: this.#resolveLevelName(roleInstance["access"])
+			})
+		);
+	}
+
+	/**
+	 * Set access level of the guild member.
+	 * @param {module:"discord.js".GuildMember} member Target member.
+	 * @param {Cognitum.AccessLevelCode} levelCode Code of the new access level.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setMemberAccess(member, levelCode) {
+		const [memberInstance] = await GuildMemberModel.findOrCreate({
+			where: {
+				id_guild: this.message.guild.id,
+				id_user: member.id
+			}
+		});
+		memberInstance.set("access", AccessManager.parseLevel(levelCode));
+		await memberInstance.save();
+		return this.#createUpdatedReply(
+			this.resolveLang("command.access.member", {
+				memberID: member.id,
+				accessLevel: this.#resolveLevelName(memberInstance["access"])
+			})
+		);
+	}
+
+	/**
+	 * Resolve localized name of the access level.
+	 * @param {number} level Access level.
+	 * @return {string}
+	 */
+	#resolveLevelName(level) {
+		return this.resolveLang(`access.${AccessManager.getCode(level)}`);
+	}
+
+	/**
+	 * Create reply for updated access level.
+	 * @param {string} description Description of updated level.
+	 * @return {DefaultEmbed}
+	 */
+	#createUpdatedReply(description) {
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.access.settingsChanged")
+		).setDescription(
+			description
+		);
+		return reply;
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		arguments: {
+			values: [
+				["role", "member"]
+			],
+			max: 3
+		},
+		access: "admin"
+	};
+
+	/**
+	 * Levels assignable to roles and members. Owner level can be set only as global user level.
+	 * @type {Object<string, Cognitum.ArgumentDeclaration[]>}
+	 */
+	static parameters = {
+		role: [
+			{ name: "role", type: "role" },
+			{ name: "level", type: "enum", values: AccessManager.LEVELS.slice(0, AccessManager.LEVEL_ADMIN + 1) }
+		],
+		member: [
+			{ name: "member", type: "member" },
+			{ name: "level", type: "enum", values: AccessManager.LEVELS.slice(0, AccessManager.LEVEL_ADMIN + 1) }
+		]
+	};
+
+	static category = GuildCategory.getCode();
+	static code = "access";
+	static examples = [
+		"example.settings",
+		"example.role",
+		"example.member",
+		"example.reset"
+	];
+	static usage = "access [ role <role> <level> | member <member> <level> ]";
+}
+
+module.exports = AccessCommand;
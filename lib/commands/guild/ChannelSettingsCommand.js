@@ -0,0 +1,150 @@
+const { Op } = require("sequelize");
+const BaseCommand = require("../../classes/base/BaseCommand");
+const GuildCategory = require("../../categories/GuildCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const StatisticsManager = require("../../classes/statistics/StatisticsManager");
+const { GuildChannelModel } = require("../../classes/Database");
+
+class ChannelSettingsCommand extends BaseCommand {
+	async run() {
+		if (this.args.length === 0)
+			return await this.showHiddenChannels();
+		const channel = this.#resolveChannel(this.args[0]);
+		if (this.args.length === 1)
+			return await this.showVisibility(channel);
+		return await this.setVisibility(channel, this.args[1]);
+	}
+
+	/**
+	 * Show list of channels hidden or excluded from statistics.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showHiddenChannels() {
+		const channels = await GuildChannelModel.findAll({
+			where: {
+				id_guild: this.message.guild.id,
+				hidden: {
+					[Op.ne]: StatisticsManager.CHANNEL_VISIBLE
+				}
+			}
+		});
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.channel.list.title", {
+				guildName: this.message.guild.name
+			})
+		).setDescription(
+			channels.length
+				? channels.map(channel => this.#createVisibilityString(channel)).join("\n")
+				: this.resolveLang("command.channel.list.empty")
+		);
+		return reply;
+	}
+
+	/**
+	 * Show visibility of the channel in statistics.
+	 * @param {module:"discord.js".GuildChannel} channel Target channel.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showVisibility(channel) {
+		const [channelInstance] = await GuildChannelModel.findOrCreate({
+			where: {
+				id: channel.id,
+				id_guild: this.message.guild.id
+			}
+		});
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.channel.visibility")
+		).setDescription(
+			this.#createVisibilityString(channelInstance)
+		);
+		return reply;
+	}
+
+	/**
+	 * Change visibility of the channel in statistics.
+	 * @param {module:"discord.js".GuildChannel} channel Target channel.
+	 * @param {string} code Visibility code.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setVisibility(channel, code) {
+		const [channelInstance] = await GuildChannelModel.findOrCreate({
+			where: {
+				id: channel.id,
+				id_guild: this.message.guild.id
+			}
+		});
+		channelInstance.set("hidden", this.constructor.visibilityMap[code]);
+		await channelInstance.save();
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.channel.visibilityUpdated")
+		).setDescription(
+			this.#createVisibilityString(channelInstance)
+		);
+		return reply;
+	}
+
+	/**
+	 * Resolve channel of current guild from mention or ID.
+	 * @param {string} argument Channel mention or ID.
+	 * @return {module:"discord.js".GuildChannel}
+	 */
+	#resolveChannel(argument) {
+		const channelId = /\d+/.exec(argument)?.[0];
+		const channel = channelId ? this.message.guild.channels.cache.get(channelId) : null;
+		if (!channel || !["text", "news", "voice"].includes(channel.type))
+			throw new Error("Target channel not found!");
+		return channel;
+	}
+
+	/**
+	 * Create description of channel visibility.
+	 * @param {GuildChannelModel} channelInstance Channel database instance.
+	 * @return {string}
+	 */
+	#createVisibilityString(channelInstance) {
+		const code = Object.keys(this.constructor.visibilityMap).find(
+			key => this.constructor.visibilityMap[key] === channelInstance["hidden"]
+		) ?? "show";
+		return this.resolveLang(`command.channel.state.${code}`, {
+			channelId: channelInstance["id"].toString()
+		});
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		arguments: {
+			values: [
+				/^(<#\d+>|\d+)$/,
+				["show", "hide", "exclude"]
+			],
+			max: 2
+		},
+		callerPermission: "ADMINISTRATOR"
+	};
+
+	static category = GuildCategory.getCode();
+	static code = "channel";
+	static examples = [
+		"example.list",
+		"example.hide",
+		"example.exclude",
+		"example.show"
+	];
+	static usage = "channel [ <channel> [ show | hide | exclude ] ]";
+
+	/**
+	 * Map of channel visibility values. Key is code for calling. Value is actual database value.
+	 */
+	static visibilityMap = {
+		show: StatisticsManager.CHANNEL_VISIBLE,
+		hide: StatisticsManager.CHANNEL_HIDDEN,
+		exclude: StatisticsManager.CHANNEL_EXCLUDED
+	};
+}
+
+module.exports = ChannelSettingsCommand;
@@ -0,0 +1,238 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const GuildCategory = require("../../categories/GuildCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const ArgumentError = require("../../classes/errors/ArgumentError");
+const CommandRules = require("../../classes/commands/CommandRules");
+const CommandsRegistry = require("../../classes/commands/CommandsRegistry");
+const { CommandRuleModel } = require("../../classes/Database");
+
+class CommandsCommand extends BaseCommand {
+	async run() {
+		if (this.args.length === 0)
+			return await this.showRules();
+		if (this.args[0] === "remove")
+			return await this.removeRule(this.params.id);
+		if (this.args[0] === "enable")
+			return await this.enableTarget(this.params.target);
+		const { type, value } = this.#subCommandMap[this.args[0]](this.params);
+		return await this.addRule(type, this.params.target, value);
+	}
+
+	/**
+	 * Show command rules of the current guild.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showRules() {
+		const rules = (await CommandRules.load(this.message.guild.id)).getRules();
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.commands.rulesTitle", {
+				guildName: this.message.guild.name
+			})
+		).setDescription(
+			rules.length
+				? rules.map(rule => this.#createRuleString(rule)).join("\n")
+				: this.resolveLang("command.commands.rulesEmpty")
+		);
+		return reply;
+	}
+
+	/**
+	 * Add rule for the target. Existing equal rule is not duplicated.
+	 * @param {number} type Rule type.
+	 * @param {string|null} targetCode Command or category code, null for all commands.
+	 * @param {string|null} value Discord ID of the channel or role.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async addRule(type, targetCode, value) {
+		const [rule] = await CommandRuleModel.findOrCreate({
+			where: {
+				id_guild: this.message.guild.id,
+				...this.#resolveTarget(targetCode),
+				type,
+				value
+			}
+		});
+		return this.#createUpdatedReply(this.#createRuleString(rule));
+	}
+
+	/**
+	 * Enable disabled command or category.
+	 * @param {string} targetCode Command or category code.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async enableTarget(targetCode) {
+		const target = this.#resolveTarget(targetCode);
+		await CommandRuleModel.destroy({
+			where: {
+				id_guild: this.message.guild.id,
+				...target,
+				type: CommandRules.RULE_DISABLED
+			}
+		});
+		return this.#createUpdatedReply(
+			this.resolveLang("command.commands.enabled", {
+				target: this.#createTargetString(target.scope, target.target)
+			})
+		);
+	}
+
+	/**
+	 * Remove rule by its ID.
+	 * @param {number} id Rule ID.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async removeRule(id) {
+		const removed = await CommandRuleModel.destroy({
+			where: {
+				id,
+				id_guild: this.message.guild.id
+			}
+		});
+		if (!removed)
+			throw new ArgumentError("value", {
+				argumentPassed: id.toString()
+			});
+		return this.#createUpdatedReply(
+			this.resolveLang("command.commands.removed", {
+				id: id.toString()
+			})
+		);
+	}
+
+	/**
+	 * Resolve rule target from command or category code. Commands are preferred, `--category` flag forces searching
+	 * for category.
+	 * @param {string|null} code Command code, command alias or category code. Null for all commands.
+	 * @return {{scope: number, target: string|null}}
+	 * @throws {ArgumentError}
+	 */
+	#resolveTarget(code) {
+		if (code === null)
+			return { scope: CommandRules.SCOPE_ALL, target: null };
+		code = code.toLowerCase();
+		const TargetCommand = this.params.category ? null : CommandsRegistry.findCommand(code);
+		if (TargetCommand) {
+			if (CommandRules.EXEMPT_COMMANDS.includes(TargetCommand.getCode()))
+				throw new Error(`Command "${TargetCommand.getCode()}" can't be restricted!`);
+			return { scope: CommandRules.SCOPE_COMMAND, target: TargetCommand.getCode() };
+		}
+		if (CommandsRegistry.findCategory(code))
+			return { scope: CommandRules.SCOPE_CATEGORY, target: code };
+		throw new ArgumentError("value", {
+			argumentPassed: code
+		});
+	}
+
+	/**
+	 * Create description of the rule.
+	 * @param {CommandRuleModel} rule Rule database instance.
+	 * @return {string}
+	 */
+	#createRuleString(rule) {
+		return this.resolveLang(`command.commands.rules.${this.constructor.rulesMap[rule["type"]]}`, {
+			id: rule["id"].toString(),
+			target: this.#createTargetString(rule["scope"], rule["target"]),
+			value: rule["value"]?.toString()
+		});
+	}
+
+	/**
+	 * Create description of the rule target.
+	 * @param {number} scope Rule scope.
+	 * @param {string|null} target Command or category code.
+	 * @return {string}
+	 */
+	#createTargetString(scope, target) {
+		if (scope === CommandRules.SCOPE_CATEGORY)
+			return this.resolveLang("command.commands.targets.category", {
+				categoryCode: target,
+				categoryName: this.resolveLang(CommandsRegistry.findCategory(target)?.getTitle() ?? target)
+			});
+		if (scope === CommandRules.SCOPE_COMMAND)
+			return this.resolveLang("command.commands.targets.command", { commandName: target });
+		return this.resolveLang("command.commands.targets.all");
+	}
+
+	/**
+	 * Create reply for updated rules.
+	 * @param {string} description Description of updated rule.
+	 * @return {DefaultEmbed}
+	 */
+	#createUpdatedReply(description) {
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.commands.rulesChanged")
+		).setDescription(
+			description
+		);
+		return reply;
+	}
+
+	/**
+	 * Map of subcommands adding rules. Used for resolving type and value of the rule from resolved parameters.
+	 */
+	#subCommandMap = {
+		disable: () => ({ type: CommandRules.RULE_DISABLED, value: null }),
+		allow: ({ channel }) => ({ type: CommandRules.RULE_ALLOWED_CHANNEL, value: channel.id }),
+		deny: ({ channel }) => ({ type: CommandRules.RULE_DENIED_CHANNEL, value: channel.id }),
+		role: ({ role }) => ({ type: CommandRules.RULE_REQUIRED_ROLE, value: role.id })
+	};
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		arguments: {
+			values: [
+				["enable", "disable", "allow", "deny", "role", "remove"]
+			],
+			max: 3
+		},
+		callerPermission: "ADMINISTRATOR"
+	};
+
+	/**
+	 * @type {Object<string, Cognitum.ArgumentDeclaration[]>}
+	 */
+	static parameters = {
+		enable: [{ name: "target", type: "text" }],
+		disable: [{ name: "target", type: "text" }],
+		allow: [{ name: "channel", type: "textChannel" }, { name: "target", type: "text", optional: true }],
+		deny: [{ name: "channel", type: "textChannel" }, { name: "target", type: "text", optional: true }],
+		role: [{ name: "role", type: "role" }, { name: "target", type: "text", optional: true }],
+		remove: [{ name: "id", type: "integer", min: 1 }]
+	};
+
+	/**
+	 * @type {Object<string, Cognitum.ArgumentDeclaration>}
+	 */
+	static flags = {
+		category: { type: "boolean" }
+	};
+
+	static category = GuildCategory.getCode();
+	static code = "commands";
+	static examples = [
+		"example.rules",
+		"example.disable",
+		"example.disableCategory",
+		"example.allow",
+		"example.deny",
+		"example.role",
+		"example.remove"
+	];
+	static usage = "commands [ enable <target> | disable <target> | allow <channel> [<target>] | deny <channel> [<target>] | role <role> [<target>] | remove <id> ] [--category]";
+
+	/**
+	 * Map of rule types. Key is database value. Value is rule code in lang.
+	 */
+	static rulesMap = {
+		[CommandRules.RULE_DISABLED]: "disabled",
+		[CommandRules.RULE_ALLOWED_CHANNEL]: "allowedChannel",
+		[CommandRules.RULE_DENIED_CHANNEL]: "deniedChannel",
+		[CommandRules.RULE_REQUIRED_ROLE]: "requiredRole"
+	};
+}
+
+module.exports = CommandsCommand;
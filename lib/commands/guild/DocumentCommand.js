@@ -0,0 +1,420 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const GuildCategory = require("../../categories/GuildCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const BulletedList = require("../../classes/content/BulletedList");
+const ArgumentError = require("../../classes/errors/ArgumentError");
+const CallerPermissionError = require("../../classes/errors/CallerPermissionError");
+const DocumentError = require("../../classes/errors/DocumentError");
+const Validators = require("../../classes/validation/Validators");
+const { DocumentModel, GuildMemberModel } = require("../../classes/Database");
+const { escapeMarkdown } = require("../../classes/Utils");
+
+class DocumentCommand extends BaseCommand {
+	async run() {
+		if (this.args.length === 0 || this.args[0] === "list")
+			return await this.showList();
+		if (this.args[0] === "mode")
+			return await this.setMode(this.args[1]);
+		if (!this.#subCommandMap.hasOwnProperty(this.args[0]))
+			return await this.showDocument(this.args[0]);
+		if (this.args.length < 2)
+			throw new ArgumentError("min", {
+				minValue: 2
+			});
+		return await this.#subCommandMap[this.args[0]](this.args[1].toLowerCase());
+	}
+
+	/**
+	 * Show list of guild documents. Hidden documents are listed only for members allowed to manage them.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showList() {
+		const documents = await DocumentModel.findAll({
+			include: [
+				{
+					model: GuildMemberModel,
+					attributes: ["id", "id_user"],
+					where: {
+						id_guild: this.message.guild.id
+					}
+				}
+			],
+			order: [
+				["name", "ASC"]
+			]
+		});
+		const list = new BulletedList();
+		documents.filter(document => !document["hidden"] || this.#canManage(document)).forEach(document => {
+			list.push(
+				this.resolveLang(`command.doc.list.${document["hidden"] ? "hiddenItem" : "item"}`, {
+					name: document["name"],
+					title: document["title"]
+				})
+			);
+		});
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.doc.list.title", {
+				guildName: this.message.guild.name
+			})
+		).setDescription(
+			list.length
+				? this.constructor.#truncateList(list)
+				: this.resolveLang("command.doc.list.empty", {
+					prefix: this.context.getPrefix()
+				})
+		);
+		return reply;
+	}
+
+	/**
+	 * Show document as an embed.
+	 * @param {string} name Document name.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showDocument(name) {
+		const document = await this.#findDocument(name);
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			document["title"]
+		).setDescription(
+			document["content"]
+		).setFooter(
+			this.resolveLang("command.doc.footer", {
+				name: document["name"]
+			})
+		);
+		if (document["image_url"])
+			reply.setImage(document["image_url"]);
+		return reply;
+	}
+
+	/**
+	 * Show only image attached to the document or set new one. Image can be passed as link or as message attachment.
+	 * `reset` keyword removes image from the document.
+	 * @param {string} name Document name.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showImage(name) {
+		const document = await this.#findDocument(name);
+		const imageURL = this.args[2] ?? this.#resolveAttachedImage();
+		if (imageURL) {
+			this.#assertManagePermission(document);
+			document.set("image_url", imageURL === "reset" ? null : this.constructor.#validateImageURL(imageURL));
+			await document.save();
+			return this.#createChangedReply(imageURL === "reset" ? "imageReset" : "imageSet", document);
+		}
+		if (!document["image_url"])
+			throw new DocumentError("noImage", {
+				name: document["name"]
+			});
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			document["title"]
+		).setImage(
+			document["image_url"]
+		);
+		reply.description = null;
+		return reply;
+	}
+
+	/**
+	 * Create new document. First line after document name is the title, all next lines are the content.
+	 * @param {string} name New document name.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async createDocument(name) {
+		this.#assertManagePermission(null);
+		this.constructor.#validateName(name);
+		if (await this.#findDocument(name, false))
+			throw new DocumentError("exists", { name });
+		const { title, content } = this.#parseDocumentText();
+		if (!content.length)
+			throw new DocumentError("noContent");
+		const document = await DocumentModel.create({
+			id_member: this.context.getMemberInstance()["id"],
+			name,
+			title,
+			content,
+			image_url: this.#resolveAttachedImage()
+		});
+		return this.#createChangedReply("created", document);
+	}
+
+	/**
+	 * Edit existing document. Content stays unchanged if only title passed.
+	 * @param {string} name Document name.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async editDocument(name) {
+		const document = await this.#findDocument(name);
+		this.#assertManagePermission(document);
+		const { title, content } = this.#parseDocumentText();
+		document.set("title", title);
+		if (content.length)
+			document.set("content", content);
+		const imageURL = this.#resolveAttachedImage();
+		if (imageURL)
+			document.set("image_url", imageURL);
+		await document.save();
+		return this.#createChangedReply("edited", document);
+	}
+
+	/**
+	 * Hide document from documents list or show it back.
+	 * @param {string} name Document name.
+	 * @param {boolean} state Hidden state.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async toggleHidden(name, state) {
+		const document = await this.#findDocument(name);
+		this.#assertManagePermission(document);
+		document.set("hidden", state ? 1 : 0);
+		await document.save();
+		return this.#createChangedReply(state ? "hidden" : "unhidden", document);
+	}
+
+	/**
+	 * Delete document.
+	 * @param {string} name Document name.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async deleteDocument(name) {
+		const document = await this.#findDocument(name);
+		this.#assertManagePermission(document);
+		await document.destroy();
+		return this.#createChangedReply("deleted", document);
+	}
+
+	/**
+	 * Set who can create and manage documents on the guild. Only administrators can change this setting.
+	 * @param {"admins"|"everyone"} mode Target mode.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setMode(mode) {
+		Validators.callerPermission({ context: this.context, options: "ADMINISTRATOR" });
+		if (!this.constructor.docModesMap.hasOwnProperty(mode))
+			throw new ArgumentError("valueList", {
+				argumentPassed: mode ?? "",
+				argumentExpectedList: Object.keys(this.constructor.docModesMap)
+					.map(v => `\`${v}\``)
+					.join(", ")
+			});
+		const guildInstance = this.context.getGuildInstance();
+		guildInstance.set("doc_mode", this.constructor.docModesMap[mode]);
+		await guildInstance.save();
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.doc.mode.title")
+		).setDescription(
+			this.resolveLang(`command.doc.mode.${mode}`)
+		);
+		return reply;
+	}
+
+	/**
+	 * Find document of current guild by name.
+	 * @param {string} name Document name.
+	 * @param {boolean} [required=true] Throw an error if document not found.
+	 * @return {Promise<DocumentModel|null>}
+	 * @throws {DocumentError}
+	 */
+	async #findDocument(name, required = true) {
+		const document = await DocumentModel.findOne({
+			where: {
+				name: name.toLowerCase()
+			},
+			include: [
+				{
+					model: GuildMemberModel,
+					attributes: ["id", "id_user"],
+					where: {
+						id_guild: this.message.guild.id
+					}
+				}
+			]
+		});
+		if (!document && required)
+			throw new DocumentError("notFound", {
+				name: escapeMarkdown(name)
+			});
+		return document;
+	}
+
+	/**
+	 * Check is caller allowed to manage target document. Administrators can manage any documents. In `everyone` mode
+	 * other members can create documents and manage their own ones.
+	 * @param {DocumentModel|null} document Target document or null for creating new one.
+	 * @return {boolean}
+	 */
+	#canManage(document) {
+		if (this.message.member.hasPermission("ADMINISTRATOR"))
+			return true;
+		if (this.context.getGuildInstance()["doc_mode"] !== this.constructor.MODE_EVERYONE)
+			return false;
+		return !document || document["id_member"] === this.context.getMemberInstance()["id"];
+	}
+
+	/**
+	 * Throw an error if caller is not allowed to manage target document.
+	 * @param {DocumentModel|null} document Target document or null for creating new one.
+	 * @throws {BaseError}
+	 */
+	#assertManagePermission(document) {
+		if (this.#canManage(document))
+			return;
+		if (this.context.getGuildInstance()["doc_mode"] !== this.constructor.MODE_EVERYONE)
+			throw new CallerPermissionError("Caller missing permissions!", "ADMINISTRATOR");
+		throw new DocumentError("notOwner", {
+			name: document["name"]
+		});
+	}
+
+	/**
+	 * Parse title and content from arguments after document name. Title is the rest of the first line and content is
+	 * all following lines.
+	 * @return {{title: string, content: string}}
+	 * @throws {DocumentError}
+	 */
+	#parseDocumentText() {
+		const [title, ...lines] = (this.context.getRemainder(2) ?? "").split("\n");
+		const content = lines.join("\n");
+		if (!title.trim().length)
+			throw new DocumentError("noTitle");
+		if (title.trim().length > this.constructor.TITLE_LENGTH_LIMIT)
+			throw new DocumentError("titleLength", {
+				limit: this.constructor.TITLE_LENGTH_LIMIT
+			});
+		if (content.trim().length > this.constructor.CONTENT_LENGTH_LIMIT)
+			throw new DocumentError("contentLength", {
+				limit: this.constructor.CONTENT_LENGTH_LIMIT
+			});
+		return { title: title.trim(), content: content.trim() };
+	}
+
+	/**
+	 * Get URL of the first image attached to the current message.
+	 * @return {string|null}
+	 */
+	#resolveAttachedImage() {
+		return this.message.attachments.find(attachment => attachment.width !== null)?.url ?? null;
+	}
+
+	/**
+	 * Create reply for document changes.
+	 * @param {string} action Action lang code.
+	 * @param {DocumentModel} document Changed document.
+	 * @return {DefaultEmbed}
+	 */
+	#createChangedReply(action, document) {
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang(`command.doc.${action}.title`)
+		).setDescription(
+			this.resolveLang(`command.doc.${action}.description`, {
+				name: document["name"],
+				prefix: this.context.getPrefix()
+			})
+		);
+		return reply;
+	}
+
+	/**
+	 * Validate document name.
+	 * @param {string} name Document name.
+	 * @throws {DocumentError}
+	 */
+	static #validateName(name) {
+		if (!/^[a-z0-9_-]{1,32}$/.test(name) || this.reservedNames.includes(name))
+			throw new DocumentError("invalidName");
+	}
+
+	/**
+	 * Validate image URL.
+	 * @param {string} url Image URL.
+	 * @return {string} Valid URL.
+	 * @throws {DocumentError}
+	 */
+	static #validateImageURL(url) {
+		if (!/^https?:\/\/\S+$/.test(url) || url.length > this.IMAGE_URL_LENGTH_LIMIT)
+			throw new DocumentError("invalidImage");
+		return url;
+	}
+
+	/**
+	 * Join list elements into a string fitting into embed description.
+	 * @param {BulletedList} list Documents list.
+	 * @return {string}
+	 */
+	static #truncateList(list) {
+		let result = list.toString();
+		while (result.length > 2048 && list.length > 1) {
+			list.pop();
+			result = list.toString() + "\n…";
+		}
+		return result;
+	}
+
+	/**
+	 * Map of subcommands with document name as the second parameter.
+	 */
+	#subCommandMap = {
+		show: async name => {
+			return await this.showDocument(name);
+		},
+		image: async name => {
+			return await this.showImage(name);
+		},
+		create: async name => {
+			return await this.createDocument(name);
+		},
+		edit: async name => {
+			return await this.editDocument(name);
+		},
+		hide: async name => {
+			return await this.toggleHidden(name, true);
+		},
+		unhide: async name => {
+			return await this.toggleHidden(name, false);
+		},
+		delete: async name => {
+			return await this.deleteDocument(name);
+		}
+	};
+
+	static MODE_ADMINS = 0;
+	static MODE_EVERYONE = 1;
+	static TITLE_LENGTH_LIMIT = 100;
+	static CONTENT_LENGTH_LIMIT = 2048;
+	static IMAGE_URL_LENGTH_LIMIT = 512;
+
+	/**
+	 * Map of documents modes. Key is mode code for calling. Value is actual database value.
+	 */
+	static docModesMap = {
+		admins: DocumentCommand.MODE_ADMINS,
+		everyone: DocumentCommand.MODE_EVERYONE
+	};
+
+	/**
+	 * Names which can't be used for documents, because they are used by subcommands.
+	 * @type {string[]}
+	 */
+	static reservedNames = ["list", "mode", "show", "image", "create", "edit", "hide", "unhide", "delete"];
+
+	static code = "doc";
+	static aliases = ["docs"];
+	static category = GuildCategory.getCode();
+	static examples = [
+		"example.list",
+		"example.show",
+		"example.create",
+		"example.edit",
+		"example.image",
+		"example.hide",
+		"example.mode"
+	];
+	static usage = "doc [ list | <name> | show <name> | image <name> [<url> | reset] | create <name> <title> | edit <name> <title> | hide <name> | unhide <name> | delete <name> | mode { admins | everyone } ]";
+}
+
+module.exports = DocumentCommand;
@@ -0,0 +1,206 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const GuildCategory = require("../../categories/GuildCategory");
+const ArgumentError = require("../../classes/errors/ArgumentError");
+const ExportError = require("../../classes/errors/ExportError");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const StatisticsExport = require("../../classes/statistics/StatisticsExport");
+const StatisticsManager = require("../../classes/statistics/StatisticsManager");
+const StatisticsPeriod = require("../../classes/statistics/StatisticsPeriod");
+const VoiceStateManager = require("../../classes/statistics/VoiceStateManager");
+const { GuildMemberModel } = require("../../classes/Database");
+const { toDatabaseTimestamp } = require("../../classes/Utils");
+
+class ExportCommand extends BaseCommand {
+	async run() {
+		const type = this.args[0];
+		let format = "csv";
+		let period = new StatisticsPeriod();
+		let condition = {};
+		for (const argument of this.args.slice(1)) {
+			if (this.constructor.FORMATS.includes(argument)) {
+				format = argument;
+				continue;
+			}
+			const parsedPeriod = StatisticsPeriod.parse(argument);
+			if (parsedPeriod)
+				period = parsedPeriod;
+			else
+				condition = await this.#resolveCondition(argument);
+		}
+		const table = condition
+			? await this.#createTable(type, condition, period)
+			: new StatisticsExport([], []);
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.export.resultTitle", {
+				guildName: this.message.guild.name
+			})
+		);
+		if (!table.length)
+			return reply.setDescription(this.resolveLang("command.export.empty"));
+		const file = table.toAttachment(`${type}-${this.message.guild.id}`, format);
+		if (file.attachment.length > this.constructor.MAX_FILE_SIZE)
+			throw new ExportError("fileSize", {
+				limit: `${this.constructor.MAX_FILE_SIZE / 1024 / 1024} MB`
+			});
+		reply.setDescription(
+			[
+				this.resolveLang("command.export.result", {
+					amount: table.length.toString(),
+					fileName: file.name
+				}),
+				file.compressed ? this.resolveLang("command.export.compressed") : null
+			].filter(line => line).join("\n")
+		).attachFiles([
+			{ attachment: file.attachment, name: file.name }
+		]);
+		return reply;
+	}
+
+	/**
+	 * Create table of the exported records. One extra record is queried for checking records limit.
+	 * @param {"messages"|"voice"} type Type of statistics.
+	 * @param {{id_member?: number, id_channel?: string}} condition Condition for filtering by member or channel.
+	 * @param {StatisticsPeriod} period Period of statistics.
+	 * @return {Promise<StatisticsExport>}
+	 * @throws {ExportError}
+	 */
+	async #createTable(type, condition, period) {
+		const manager = new StatisticsManager(this.message);
+		if (type === "voice") {
+			const records = this.constructor.#checkRecordsLimit(
+				await manager.queryVoiceRecords(condition, period, this.constructor.MAX_RECORDS + 1)
+			);
+			return new StatisticsExport(
+				["user_id", "channel_id", "timestamp_begin", "duration", "exclusion"],
+				records.map(record => [
+					record["GuildMemberModel.id_user"].toString(),
+					record["id_channel"]?.toString() ?? null,
+					this.constructor.#formatTimestamp(record["timestamp_begin"]),
+					record["weight"],
+					this.constructor.exclusionsMap[record["exclusion"]] ?? null
+				])
+			);
+		}
+		const records = this.constructor.#checkRecordsLimit(
+			await manager.queryMessageRecords(condition, period, this.constructor.MAX_RECORDS + 1)
+		);
+		return new StatisticsExport(
+			["message_id", "user_id", "channel_id", "timestamp", "weight"],
+			records.map(record => [
+				record["id"].toString(),
+				record["GuildMemberModel.id_user"].toString(),
+				record["id_channel"].toString(),
+				this.constructor.#formatTimestamp(record["timestamp"]),
+				record["weight"]
+			])
+		);
+	}
+
+	/**
+	 * Resolve filter condition from member or channel mention. Channels are not checked for existence, so statistics
+	 * of deleted channels can be exported too.
+	 * @param {string} argument Command argument.
+	 * @return {Promise<{id_member?: number, id_channel?: string}|null>} Condition for statistics queries or null if
+	 *     member was never seen by bot.
+	 * @throws {ArgumentError}
+	 */
+	async #resolveCondition(argument) {
+		const userId = /^<@!?(\d+)>$/.exec(argument)?.[1];
+		if (userId) {
+			const memberInstance = await GuildMemberModel.findOne({
+				where: {
+					id_guild: this.message.guild.id,
+					id_user: userId
+				}
+			});
+			return memberInstance ? { id_member: memberInstance["id"] } : null;
+		}
+		const channelId = /^<#(\d+)>$/.exec(argument)?.[1];
+		if (channelId)
+			return { id_channel: channelId };
+		throw new ArgumentError("value", {
+			argumentPassed: argument
+		});
+	}
+
+	/**
+	 * Check amount of queried records before serializing them.
+	 * @param {Object[]} records Queried records.
+	 * @return {Object[]} Same records.
+	 * @throws {ExportError}
+	 */
+	static #checkRecordsLimit(records) {
+		if (records.length > this.MAX_RECORDS)
+			throw new ExportError("tooManyRecords", {
+				limit: this.MAX_RECORDS.toString()
+			});
+		return records;
+	}
+
+	/**
+	 * Format timestamp received from statistics tables.
+	 * @param {Date|string} value Date instance or UTC timestamp string.
+	 * @return {string} UTC timestamp string in format `YYYY-MM-DD HH:MM:SS`.
+	 */
+	static #formatTimestamp(value) {
+		return value instanceof Date ? toDatabaseTimestamp(value) : value;
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		arguments: {
+			min: 1,
+			max: 4,
+			values: [
+				["messages", "voice"]
+			]
+		},
+		callerPermission: "ADMINISTRATOR"
+	};
+	/**
+	 * @type {Cognitum.CommandCooldown}
+	 */
+	static cooldown = { scope: "guild", duration: 60 };
+
+	static category = GuildCategory.getCode();
+	static code = "export";
+	static examples = [
+		"example.messages",
+		"example.voiceJson",
+		"example.member",
+		"example.channel"
+	];
+	static usage = "export { messages | voice } [ csv | json ] [ <channel> | <member> ] [ 7d | 30d | all | <from>..<to> ]";
+
+	/**
+	 * Supported formats of exported files.
+	 * @type {string[]}
+	 */
+	static FORMATS = ["csv", "json"];
+
+	/**
+	 * Map of voice exclusion reasons. Key is database value. Value is reason code in exported file.
+	 */
+	static exclusionsMap = {
+		[VoiceStateManager.EXCLUSION_AFK]: "afk",
+		[VoiceStateManager.EXCLUSION_DEAFENED]: "deafened",
+		[VoiceStateManager.EXCLUSION_MUTED]: "muted",
+		[VoiceStateManager.EXCLUSION_ALONE]: "alone"
+	};
+
+	/**
+	 * Maximal size of the file in bytes, which can be uploaded to Discord.
+	 * @type {number}
+	 */
+	static MAX_FILE_SIZE = 8 * 1024 * 1024;
+	/**
+	 * Maximal amount of exported records. Larger exports are rejected before serializing.
+	 * @type {number}
+	 */
+	static MAX_RECORDS = 100000;
+}
+
+module.exports = ExportCommand;
@@ -25,7 +25,7 @@ class LanguageCommand extends BaseCommand {
 		);
 		const checkList = new CheckList();
 		const languages = Lang.getLanguagesList();
-		const currentLanguage = this.context.getGuildInstance()?.["language"];
+		const currentLanguage = this.#getTargetInstance()["language"];
 		languages.forEach(language => {
 			checkList.push({
 				state: language.code === currentLanguage,
@@ -50,22 +50,32 @@ class LanguageCommand extends BaseCommand {
 				argumentExpectedList: "`" + Lang.getLanguagesList().map(meta => meta.code).join("`, `") + "`"
 			});
 		}
-		const guild = this.context.getGuildInstance();
-		guild["language"] = languageCode;
-		await guild.save();
+		const instance = this.#getTargetInstance();
+		instance["language"] = languageCode;
+		await instance.save();
 		const lang = new Lang(languageCode);
 		const response = new DefaultEmbed(this.context, "guild");
 		response.setTitle(lang.get("command.lang.changedTitle"))
 			.setDescription(
-				lang.get("command.lang.changedDescription", {
+				lang.get(this.context.isDirect() ? "command.lang.changedUserDescription" : "command.lang.changedDescription", {
 					languageName: lang.languageName
 				})
 			);
 		return response;
 	}
 
+	/**
+	 * Get database instance storing selected language. Language of the guild is changed in guild channels, preferred
+	 * language of the user is changed in direct messages.
+	 * @return {GuildModel|UserModel}
+	 */
+	#getTargetInstance() {
+		return this.context.isDirect() ? this.context.getUserInstance() : this.context.getGuildInstance();
+	}
+
 	static code = "lang";
 	static category = GuildCategory.getCode();
+	static dmAllowed = true;
 	static usage = "lang [<language_code>]";
 	/** @type {Cognitum.ContextValidatorOptions} */
 	static validators = {
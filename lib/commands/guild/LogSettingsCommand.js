@@ -3,6 +3,7 @@ const GuildCategory = require("../../categories/GuildCategory");
 const CheckList = require("../../classes/content/CheckList");
 const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
 const ArgumentError = require("../../classes/errors/ArgumentError");
+const LogsProcessor = require("../../classes/LogsProcessor");
 const { GuildModel } = require("../../classes/Database");
 const { escapeMarkdown } = require("../../classes/Utils");
 
@@ -12,14 +13,12 @@ class LogSettingsCommand extends BaseCommand {
 			return await this.showLogsSettings();
 		if (this.args.length === 1 && /^(enable|disable)$/.test(this.args[0]))
 			return await this.toggleLogging(this.args[0] === "enable");
-		if (this.args.length === 1 && /^(public|private)$/.test(this.args[0]))
-			return await this.resetLogChannel();
-		if (this.args.length === 2) {
-			if (/^(enable|disable)$/.test(this.args[0]))
-				return await this.toggleSetting(this.args[1], this.args[0] === "enable");
-			if (/^(public|private)$/.test(this.args[0]))
-				return await this.setLogChannel(this.args[0], this.args[1]);
-		}
+		if (/^(public|private)$/.test(this.args[0]))
+			return await this.setLogChannel(this.args[0], this.params.channel);
+		if (this.args.length === 2 && this.args[0] === "mode")
+			return await this.setMode(this.args[1]);
+		if (this.args.length === 2 && /^(enable|disable)$/.test(this.args[0]))
+			return await this.toggleSetting(this.args[1], this.args[0] === "enable");
 		// TODO Special error for this
 		throw new Error("Incorrect command usage!");
 	}
@@ -36,6 +35,7 @@ class LogSettingsCommand extends BaseCommand {
 		const logsEnabled = guild.logs_enabled === 1;
 		const publicChannelSet = /^\d+$/.test(guild.logs_public_channel);
 		const privateChannelSet = /^\d+$/.test(guild.logs_private_channel);
+		const embedMode = guild.logs_mode === LogsProcessor.MODE_EMBED;
 		generalSettings.push(...[
 			{
 				state: logsEnabled,
@@ -60,6 +60,10 @@ class LogSettingsCommand extends BaseCommand {
 						channelId: guild["logs_private_channel"]
 					}
 				)
+			},
+			{
+				state: embedMode,
+				text: this.resolveLang("command.log.mode.embedState")
 			}
 		]);
 		const eventsList = new CheckList();
@@ -88,14 +92,6 @@ class LogSettingsCommand extends BaseCommand {
 		return replyEmbed;
 	}
 
-	/**
-	 * Reset log channel of this type.
-	 * @return {Promise<DefaultEmbed>}
-	 */
-	async resetLogChannel() {
-		return this.setLogChannel(this.args[0], null);
-	}
-
 	/**
 	 * Toggle log setting for guild.
 	 * @param {string} settingCode Target setting code.
@@ -138,24 +134,16 @@ class LogSettingsCommand extends BaseCommand {
 	/**
 	 * Set log channel for current guild.
 	 * @param {"private"|"public"} type Log type for this channel.
-	 * @param {string|null} channelID Channel ID for log channel to set.
+	 * @param {module:"discord.js".TextChannel|null} targetChannel Log channel to set or null for resetting.
 	 * @return {Promise<DefaultEmbed>}
 	 */
-	async setLogChannel(type, channelID) {
+	async setLogChannel(type, targetChannel) {
 		if (!/(public|private)/.test(type))
 			throw new Error("Incorrect channel type for logs!");
-		/** @type {module:"discord.js".GuildChannel | null} */
-		let targetChannel = null;
-		if (channelID !== null) {
-			channelID = /(\d+)/.exec(channelID)?.[0] ?? null;
-			if (channelID === null)
-				throw new Error("Incorrect channel ID passed! This argument must contains Channel ID!");
-			targetChannel = this.message.guild?.channels.cache.find(channel => channel.id === channelID);
-			if (!targetChannel || targetChannel.type !== "text" || !targetChannel.viewable)
-				throw new Error("This channel is not exist or it is not viewable by bot!");
-		}
+		if (targetChannel && !targetChannel.viewable)
+			throw new Error("This channel is not viewable by bot!");
 		await GuildModel.update({
-			[`logs_${type}_channel`]: channelID
+			[`logs_${type}_channel`]: targetChannel?.id ?? null
 		}, {
 			where: {
 				id: this.message.guild.id
@@ -173,7 +161,7 @@ class LogSettingsCommand extends BaseCommand {
 			)
 			.setDescription(
 				this.resolveLang(
-					`command.log.channel.${type}.${targetChannel?.type === "text" ? "set" : "reset"}`,
+					`command.log.channel.${type}.${targetChannel ? "set" : "reset"}`,
 					{
 						channelName: targetChannel?.name,
 						channelId: targetChannel?.id
@@ -183,6 +171,31 @@ class LogSettingsCommand extends BaseCommand {
 		return replyEmbed;
 	}
 
+	/**
+	 * Set logs messages mode for current guild.
+	 * @param {"text"|"embed"} mode Target mode.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setMode(mode) {
+		if (!this.constructor.logModesMap.hasOwnProperty(mode))
+			throw new ArgumentError("valueList", {
+				argumentPassed: mode,
+				argumentExpectedList: Object.keys(this.constructor.logModesMap)
+					.map(v => escapeMarkdown(v))
+					.join(", ")
+			});
+		const guildInstance = this.context.getDatabaseInstances().guild;
+		guildInstance.set("logs_mode", this.constructor.logModesMap[mode]);
+		await guildInstance.save();
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.log.mode.changed.title")
+		).setDescription(
+			this.resolveLang(`command.log.mode.changed.${mode}`)
+		);
+		return reply;
+	}
+
 	/**
 	 * Toggle logging feature.
 	 * @param {boolean} state
@@ -207,11 +220,19 @@ class LogSettingsCommand extends BaseCommand {
 	static validators = {
 		arguments: {
 			values: [
-				["enable", "disable", "private", "public"]
+				["enable", "disable", "private", "public", "mode"]
 			],
 			max: 2
 		},
-		callerPermission: "ADMINISTRATOR"
+		access: "admin"
+	};
+
+	/**
+	 * @type {Object<string, Cognitum.ArgumentDeclaration[]>}
+	 */
+	static parameters = {
+		public: [{ name: "channel", type: "textChannel", optional: true }],
+		private: [{ name: "channel", type: "textChannel", optional: true }]
 	};
 
 	static category = GuildCategory.getCode();
@@ -224,9 +245,10 @@ class LogSettingsCommand extends BaseCommand {
 		"example.resetPrivateChannel",
 		"example.enableFeature",
 		"example.disableFeature",
-		"example.enableAll"
+		"example.enableAll",
+		"example.embedMode"
 	];
-	static usage = "log [ public [<channel>] | private [<channel>] | enable { <feature> | all } | disable { <feature> | all } ]";
+	static usage = "log [ public [<channel>] | private [<channel>] | enable { <feature> | all } | disable { <feature> | all } | mode { text | embed } ]";
 
 	/**
 	 * Map of events. Key is database table field. Value is actual code for calling.
@@ -242,6 +264,14 @@ class LogSettingsCommand extends BaseCommand {
 		logs_msgupdate_event: "msg_update"
 	};
 
+	/**
+	 * Map of logs modes. Key is mode code for calling. Value is actual database value.
+	 */
+	static logModesMap = {
+		text: LogsProcessor.MODE_TEXT,
+		embed: LogsProcessor.MODE_EMBED
+	};
+
 	static logTypesInvertedMap = {
 		join: "logs_join_event",
 		left: "logs_left_event",
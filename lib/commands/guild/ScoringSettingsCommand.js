@@ -0,0 +1,227 @@
+const { Op } = require("sequelize");
+const BaseCommand = require("../../classes/base/BaseCommand");
+const GuildCategory = require("../../categories/GuildCategory");
+const CheckList = require("../../classes/content/CheckList");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const ArgumentError = require("../../classes/errors/ArgumentError");
+const { GuildChannelModel } = require("../../classes/Database");
+const { escapeMarkdown } = require("../../classes/Utils");
+
+class ScoringSettingsCommand extends BaseCommand {
+	async run() {
+		if (this.args.length === 0)
+			return await this.showSettings();
+		if (this.args.length === 2 && /^(enable|disable)$/.test(this.args[0]))
+			return await this.toggleRule(this.args[1], this.args[0] === "enable");
+		if (this.args.length === 2 && /^(cooldown|cap)$/.test(this.args[0]))
+			return await this.setLimit(this.args[0], this.args[1]);
+		if (this.args[0] === "multiplier" && this.args.length <= 3)
+			return await this.setMultiplier(this.args[1], this.args[2]);
+		throw new Error("Incorrect command usage!");
+	}
+
+	/**
+	 * Show message scoring rules of the current guild.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showSettings() {
+		const guildInstance = this.context.getGuildInstance();
+		const rules = new CheckList();
+		rules.push(...[
+			this.#createLimitItem("cooldown", guildInstance["score_cooldown"]),
+			this.#createLimitItem("cap", guildInstance["score_cap"]),
+			...Object.entries(this.constructor.rulesMap).map(([code, field]) => ({
+				state: guildInstance[field] === 1,
+				text: this.resolveLang(`command.scoring.rules.${code}`)
+			}))
+		]);
+		const channels = await GuildChannelModel.findAll({
+			where: {
+				id_guild: this.message.guild.id,
+				score_multiplier: {
+					[Op.ne]: 1
+				}
+			}
+		});
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.scoring.settingsTitle", {
+				guildName: this.message.guild.name
+			})
+		).setDescription(
+			rules.toString()
+		).addField(
+			this.resolveLang("command.scoring.multipliersTitle"),
+			channels.length
+				? channels.map(channel => this.#createMultiplierString(channel)).join("\n")
+				: this.resolveLang("command.scoring.multipliersEmpty")
+		);
+		return reply;
+	}
+
+	/**
+	 * Enable or disable scoring rule.
+	 * @param {string} code Rule code.
+	 * @param {boolean} state New state of the rule.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async toggleRule(code, state) {
+		if (!this.constructor.rulesMap.hasOwnProperty(code))
+			throw new ArgumentError("valueList", {
+				argumentPassed: code,
+				argumentExpectedList: Object.keys(this.constructor.rulesMap)
+					.map(v => escapeMarkdown(v))
+					.join(", ")
+			});
+		const guildInstance = this.context.getGuildInstance();
+		guildInstance.set(this.constructor.rulesMap[code], state ? 1 : 0);
+		await guildInstance.save();
+		const check = new CheckList();
+		check.push({ state, text: this.resolveLang(`command.scoring.rules.${code}`) });
+		return this.#createUpdatedReply(check.toString());
+	}
+
+	/**
+	 * Set cooldown between scored messages or cap of the message score. Zero value disables limit.
+	 * @param {"cooldown"|"cap"} type Type of limit.
+	 * @param {string} value New value.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setLimit(type, value) {
+		const amount = /^\d+$/.test(value) ? parseInt(value) : NaN;
+		if (!(amount >= 0 && amount <= this.constructor.MAX_LIMIT))
+			throw new ArgumentError("range", {
+				argumentIndex: 2,
+				argumentPassed: value,
+				minValue: 0,
+				maxValue: this.constructor.MAX_LIMIT
+			});
+		const guildInstance = this.context.getGuildInstance();
+		guildInstance.set(`score_${type}`, amount);
+		await guildInstance.save();
+		const check = new CheckList();
+		check.push(this.#createLimitItem(type, amount));
+		return this.#createUpdatedReply(check.toString());
+	}
+
+	/**
+	 * Show or set score multiplier of the channel.
+	 * @param {string} [channelArgument] Channel mention or ID. Current channel by default.
+	 * @param {string} [value] New multiplier. Current multiplier is shown if not set.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setMultiplier(channelArgument, value) {
+		const channelId = channelArgument ? /\d+/.exec(channelArgument)?.[0] : this.message.channel.id;
+		const channel = channelId ? this.message.guild.channels.cache.get(channelId) : null;
+		if (!channel || !["text", "news"].includes(channel.type))
+			throw new Error("Target channel not found!");
+		const [channelInstance] = await GuildChannelModel.findOrCreate({
+			where: {
+				id: channel.id,
+				id_guild: this.message.guild.id
+			}
+		});
+		if (value !== undefined) {
+			const multiplier = /^\d+(\.\d{1,2})?$/.test(value) ? parseFloat(value) : NaN;
+			if (!(multiplier >= 0 && multiplier <= this.constructor.MAX_MULTIPLIER))
+				throw new ArgumentError("range", {
+					argumentIndex: 3,
+					argumentPassed: value,
+					minValue: 0,
+					maxValue: this.constructor.MAX_MULTIPLIER
+				});
+			channelInstance.set("score_multiplier", multiplier);
+			await channelInstance.save();
+		}
+		return this.#createUpdatedReply(this.#createMultiplierString(channelInstance));
+	}
+
+	/**
+	 * Create check list item for cooldown or cap setting.
+	 * @param {"cooldown"|"cap"} type Type of limit.
+	 * @param {number} value Current value.
+	 * @return {{state: boolean, text: string}}
+	 */
+	#createLimitItem(type, value) {
+		return {
+			state: value > 0,
+			text: this.resolveLang(`command.scoring.rules.${type}.${value > 0 ? "set" : "unset"}`, {
+				value: value.toString()
+			})
+		};
+	}
+
+	/**
+	 * Create description of channel multiplier.
+	 * @param {GuildChannelModel} channelInstance Channel database instance.
+	 * @return {string}
+	 */
+	#createMultiplierString(channelInstance) {
+		return this.resolveLang("command.scoring.multiplier", {
+			channelId: channelInstance["id"].toString(),
+			// FLOAT values are not precise, so multiplier is rounded to the allowed precision.
+			multiplier: parseFloat(channelInstance["score_multiplier"].toFixed(2)).toString()
+		});
+	}
+
+	/**
+	 * Create reply for updated settings.
+	 * @param {string} description Description of updated setting.
+	 * @return {DefaultEmbed}
+	 */
+	#createUpdatedReply(description) {
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.scoring.settingsChanged")
+		).setDescription(
+			description
+		);
+		return reply;
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		arguments: {
+			values: [
+				["enable", "disable", "cooldown", "cap", "multiplier"]
+			],
+			max: 3
+		},
+		callerPermission: "ADMINISTRATOR"
+	};
+
+	static category = GuildCategory.getCode();
+	static code = "scoring";
+	static aliases = ["score"];
+	static examples = [
+		"example.settings",
+		"example.cooldown",
+		"example.cap",
+		"example.commands",
+		"example.multiplier"
+	];
+	static usage = "scoring [ cooldown <seconds> | cap <score> | enable <rule> | disable <rule> | multiplier [<channel> [<value>]] ]";
+
+	/**
+	 * Map of scoring rules. Key is rule code for calling. Value is database table field.
+	 */
+	static rulesMap = {
+		commands: "score_ignore_commands",
+		duplicates: "score_ignore_duplicates"
+	};
+
+	/**
+	 * Maximal value of cooldown and cap. Limited by SMALLINT UNSIGNED data type.
+	 * @type {number}
+	 */
+	static MAX_LIMIT = 65535;
+	/**
+	 * Maximal channel multiplier. Multiplier can have up to two decimal places.
+	 * @type {number}
+	 */
+	static MAX_MULTIPLIER = 10;
+}
+
+module.exports = ScoringSettingsCommand;
@@ -1,13 +1,14 @@
 const BaseCommand = require("../../classes/base/BaseCommand.js");
 const GuildCategory = require("../../categories/GuildCategory.js");
+const Validators = require("../../classes/validation/Validators.js");
 
 class VoiceMergeCommand extends BaseCommand {
 	async run() {
 		const currentChannel = this.message.member.voice?.channel;
-		const voiceChannel = this.message.guild.channels.cache.find(channel => channel.id === this.args[0] && channel.type === "voice");
+		const voiceChannel = this.params.channel;
 		// TODO Make special error for this situation
-		if (!currentChannel || !voiceChannel)
-			throw new Error("Current or target channel is not found!");
+		if (!currentChannel)
+			throw new Error("Current channel is not found!");
 		const moveMembers = currentChannel.members.array();
 		for (let i = 0; i < moveMembers.length; i++) {
 			let member = moveMembers[i];
@@ -19,21 +20,35 @@ class VoiceMergeCommand extends BaseCommand {
 		});
 	}
 
+	/**
+	 * Members with Move Members permission can merge channels without bot access level, other members require
+	 * moderator level.
+	 * @return {Promise<boolean>}
+	 */
+	async validate() {
+		await super.validate();
+		if (!this.message.member.permissions.has("MOVE_MEMBERS"))
+			await Validators.access({ context: this.context, options: "moderator" });
+		return true;
+	}
+
 	/**
 	 * @type {Cognitum.ContextValidatorOptions}
 	 */
 	static validators = {
-		callerPermission: "MOVE_MEMBERS",
 		botPermission: "MOVE_MEMBERS",
 		arguments: {
-			min: 1,
-			max: 1,
-			values: [
-				/^\d+$/
-			]
+			max: 1
 		}
 	};
 
+	/**
+	 * @type {Cognitum.ArgumentDeclaration[]}
+	 */
+	static parameters = [
+		{ name: "channel", type: "voiceChannel" }
+	];
+
 	static code = "merge";
 	static category = GuildCategory.getCode();
 	static examples = [
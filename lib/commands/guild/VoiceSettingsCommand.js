@@ -0,0 +1,149 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const GuildCategory = require("../../categories/GuildCategory");
+const CheckList = require("../../classes/content/CheckList");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const ArgumentError = require("../../classes/errors/ArgumentError");
+const { escapeMarkdown } = require("../../classes/Utils");
+
+class VoiceSettingsCommand extends BaseCommand {
+	async run() {
+		if (this.args.length === 0)
+			return await this.showSettings();
+		if (this.args.length === 2 && /^(enable|disable)$/.test(this.args[0]))
+			return await this.toggleRule(this.args[1], this.args[0] === "enable");
+		if (this.args.length === 2 && this.args[0] === "members")
+			return await this.setMinMembers(this.args[1]);
+		throw new Error("Incorrect command usage!");
+	}
+
+	/**
+	 * Show voice accounting rules of the current guild.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showSettings() {
+		const guildInstance = this.context.getGuildInstance();
+		const rules = new CheckList();
+		for (const [code, field] of Object.entries(this.constructor.rulesMap)) {
+			rules.push({
+				state: guildInstance[field] === 1,
+				text: this.resolveLang(`command.voice.rules.${code}`)
+			});
+		}
+		rules.push({
+			state: guildInstance["voice_min_members"] > 1,
+			text: this.resolveLang("command.voice.rules.members", {
+				amount: guildInstance["voice_min_members"].toString()
+			})
+		});
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.voice.settingsTitle", {
+				guildName: this.message.guild.name
+			})
+		).setDescription(
+			rules.toString()
+		);
+		return reply;
+	}
+
+	/**
+	 * Enable or disable accounting rule.
+	 * @param {string} code Rule code.
+	 * @param {boolean} state New state of the rule.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async toggleRule(code, state) {
+		if (!this.constructor.rulesMap.hasOwnProperty(code))
+			throw new ArgumentError("valueList", {
+				argumentPassed: code,
+				argumentExpectedList: Object.keys(this.constructor.rulesMap)
+					.map(v => escapeMarkdown(v))
+					.join(", ")
+			});
+		const guildInstance = this.context.getGuildInstance();
+		guildInstance.set(this.constructor.rulesMap[code], state ? 1 : 0);
+		await guildInstance.save();
+		const check = new CheckList();
+		check.push({ state, text: this.resolveLang(`command.voice.rules.${code}`) });
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.voice.ruleChanged")
+		).setDescription(
+			check.toString()
+		);
+		return reply;
+	}
+
+	/**
+	 * Set minimal amount of non-bot members in channel required for counting voice time.
+	 * @param {string} value Amount of members.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setMinMembers(value) {
+		const amount = /^\d+$/.test(value) ? parseInt(value) : NaN;
+		if (!(amount >= 1 && amount <= this.constructor.MAX_MIN_MEMBERS))
+			throw new ArgumentError("range", {
+				argumentIndex: 2,
+				argumentPassed: value,
+				minValue: 1,
+				maxValue: this.constructor.MAX_MIN_MEMBERS
+			});
+		const guildInstance = this.context.getGuildInstance();
+		guildInstance.set("voice_min_members", amount);
+		await guildInstance.save();
+		const check = new CheckList();
+		check.push({
+			state: amount > 1,
+			text: this.resolveLang("command.voice.rules.members", {
+				amount: amount.toString()
+			})
+		});
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.voice.ruleChanged")
+		).setDescription(
+			check.toString()
+		);
+		return reply;
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		arguments: {
+			values: [
+				["enable", "disable", "members"]
+			],
+			max: 2
+		},
+		callerPermission: "ADMINISTRATOR"
+	};
+
+	static category = GuildCategory.getCode();
+	static code = "voice";
+	static examples = [
+		"example.settings",
+		"example.disableAfk",
+		"example.enableMuted",
+		"example.members"
+	];
+	static usage = "voice [ enable <rule> | disable <rule> | members <amount> ]";
+
+	/**
+	 * Map of accounting rules. Key is rule code for calling. Value is database table field.
+	 */
+	static rulesMap = {
+		afk: "voice_ignore_afk",
+		deafened: "voice_ignore_deafened",
+		muted: "voice_ignore_muted"
+	};
+
+	/**
+	 * Maximal value of minimal amount of members. Voice channels can't have user limit greater than 99.
+	 * @type {number}
+	 */
+	static MAX_MIN_MEMBERS = 99;
+}
+
+module.exports = VoiceSettingsCommand;
@@ -1,19 +1,89 @@
 const BaseCommand = require("../../classes/base/BaseCommand.js");
 const GuildCategory = require("../../categories/GuildCategory.js");
 const DefaultEmbed = require("../../classes/embed/DefaultEmbed.js");
+const CheckList = require("../../classes/content/CheckList.js");
+const ArgumentError = require("../../classes/errors/ArgumentError.js");
+const AccessLevelError = require("../../classes/errors/AccessLevelError.js");
+const RoleRequiredError = require("../../classes/errors/RoleRequiredError.js");
+const Validators = require("../../classes/validation/Validators.js");
+const AccessManager = require("../../classes/AccessManager.js");
+const WelcomeProcessor = require("../../classes/WelcomeProcessor.js");
 
 class WelcomeCommand extends BaseCommand {
 	async run() {
+		if (this.args.length === 0)
+			return await this.showSettings();
+		if (this.args[0] === "message")
+			return await this.setMessage(this.params.template ?? "");
 		if (this.args.length === 1 && /^(enable|disable)$/.test(this.args[0]))
 			return await this.toggleFeature(this.args[0] === "enable");
 		if (this.args.length === 2) {
 			if (!this.#subCommandMap.hasOwnProperty(this.args[0]))
 				throw new Error("Incorrect command passed!");
-			const targetID = /\d+/.exec(this.args[1])?.[0];
-			if (!targetID || !isFinite(targetID))
-				throw new Error("Failed to resolve Discord ID!");
-			return await this.#subCommandMap[this.args[0]]?.(targetID);
+			return await this.#subCommandMap[this.args[0]](this.params);
 		}
+		throw new Error("Incorrect command usage!");
+	}
+
+	/**
+	 * Verification is available for welcome managers and moderators, all other subcommands are available only for
+	 * administrators.
+	 * @return {Promise<boolean>}
+	 * @throws {BaseError}
+	 */
+	async validate() {
+		await super.validate();
+		if (this.args[0] !== "verify") {
+			await Validators.access({ context: this.context, options: "admin" });
+			return true;
+		}
+		const guildInstance = this.context.getGuildInstance();
+		if (WelcomeProcessor.isManager(this.message.member, guildInstance))
+			return true;
+		if (await AccessManager.resolve(this.context) >= AccessManager.LEVEL_MODERATOR)
+			return true;
+		if (!guildInstance["welcome_manager_role"])
+			throw new AccessLevelError("Caller access level is too low!", "moderator");
+		throw new RoleRequiredError("Caller is not welcome manager!", guildInstance["welcome_manager_role"].toString());
+	}
+
+	/**
+	 * Show welcome feature settings.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async showSettings() {
+		const guildInstance = this.context.getGuildInstance();
+		const settings = new CheckList();
+		const enabled = guildInstance["welcome_mode"] === WelcomeProcessor.MODE_ENABLED;
+		settings.push(...[
+			{
+				state: enabled,
+				text: this.resolveLang(`command.welcome.settings.${enabled ? "enabled" : "disabled"}`)
+			},
+			...["channel", "manager", "verified"].map(setting => {
+				const field = setting === "channel" ? "welcome_channel" : `welcome_${setting}_role`;
+				return {
+					state: !!guildInstance[field],
+					text: this.resolveLang(
+						`command.welcome.settings.${setting}.${guildInstance[field] ? "set" : "unset"}`,
+						{ targetID: guildInstance[field]?.toString() }
+					)
+				};
+			}),
+			{
+				state: !!guildInstance["welcome_message"],
+				text: this.resolveLang("command.welcome.settings.customMessage")
+			}
+		]);
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang("command.welcome.settings.title", {
+				guildName: this.message.guild.name
+			})
+		).setDescription(
+			settings.toString()
+		);
+		return reply;
 	}
 
 	/**
@@ -22,8 +92,9 @@ class WelcomeCommand extends BaseCommand {
 	 * @return {Promise<DefaultEmbed>} Response.
 	 */
 	async toggleFeature(state) {
-		const guildInstance = this.context.getDatabaseInstances().guild;
-		await guildInstance.update("welcome_mode", state ? 1 : 0);
+		const guildInstance = this.context.getGuildInstance();
+		guildInstance.set("welcome_mode", state ? WelcomeProcessor.MODE_ENABLED : WelcomeProcessor.MODE_DISABLED);
+		await guildInstance.save();
 		const reply = new DefaultEmbed(this.context, "guild");
 		reply.setTitle(
 			this.resolveLang(`command.welcome.featureToggle.${state ? "on" : "off"}.title`)
@@ -36,20 +107,19 @@ class WelcomeCommand extends BaseCommand {
 	/**
 	 * Set role setting for welcome channel.
 	 * @param {"manager"|"verified"} type Type of role to set.
-	 * @param {string} id Discord ID of target role.
+	 * @param {module:"discord.js".Role} role Target role.
 	 * @return {Promise<DefaultEmbed>}
 	 */
-	async setRole(type, id) {
-		const targetRole = this.message.guild.roles.cache.find(role => role.id === id);
-		if (!targetRole)
-			throw new Error("Target role not found!");
-		await this.context.getDatabaseInstances().guild.update(`welcome_${type}_role`, id);
+	async setRole(type, role) {
+		const guildInstance = this.context.getGuildInstance();
+		guildInstance.set(`welcome_${type}_role`, role.id);
+		await guildInstance.save();
 		const reply = new DefaultEmbed(this.context, "guild");
 		reply.setTitle(
 			this.resolveLang(`command.welcome.${type}Updated.title`)
 		).setDescription(
 			this.resolveLang(`command.welcome.${type}Updated.description`, {
-				roleID: id
+				roleID: role.id
 			})
 		);
 		return reply;
@@ -57,39 +127,96 @@ class WelcomeCommand extends BaseCommand {
 
 	/**
 	 * Set welcome channel.
-	 * @param {string} id Channel Discord ID.
+	 * @param {module:"discord.js".TextChannel} channel Target channel.
 	 * @return {Promise<DefaultEmbed>}
 	 */
-	async setWelcomeChannel(id) {
-		const targetChannel = this.message.guild.channels.cache.find(
-			channel => channel.id === id && channel.type === "text"
-		);
-		if (!targetChannel)
-			throw new Error("Target channel not found!");
-		await this.context.getDatabaseInstances().guild.update("welcome_channel", id);
+	async setWelcomeChannel(channel) {
+		const guildInstance = this.context.getGuildInstance();
+		guildInstance.set("welcome_channel", channel.id);
+		await guildInstance.save();
 		const reply = new DefaultEmbed(this.context, "guild");
 		reply.setTitle(
 			this.resolveLang("command.welcome.channelUpdated.title")
 		).setDescription(
 			this.resolveLang("command.welcome.channelUpdated.description", {
-				channelID: id
+				channelID: channel.id
 			})
 		);
 		return reply;
 	}
 
 	/**
-	 * Map of subcommands with ID as the second parameter. Used for calling function required for different commands.
+	 * Set welcome message template and show preview of it. Calling without template shows preview of the current one.
+	 * `reset` keyword resets template to the default one.
+	 * @param {string} template New welcome message template.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async setMessage(template) {
+		const guildInstance = this.context.getGuildInstance();
+		let state = "preview";
+		if (template === "reset") {
+			guildInstance.set("welcome_message", null);
+			await guildInstance.save();
+			state = "reset";
+		} else if (template.length > 0) {
+			if (template.length > WelcomeProcessor.TEMPLATE_LENGTH_LIMIT)
+				throw new ArgumentError("length", {
+					argumentIndex: 2,
+					requiredLength: "≤ " + WelcomeProcessor.TEMPLATE_LENGTH_LIMIT
+				});
+			guildInstance.set("welcome_message", template);
+			await guildInstance.save();
+			state = "updated";
+		}
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang(`command.welcome.message.${state}`)
+		).setDescription(
+			WelcomeProcessor.renderMessage(
+				guildInstance["welcome_message"] ?? this.resolveLang("welcome.defaultMessage"),
+				this.message.member
+			)
+		).addField(
+			this.resolveLang("command.welcome.message.replacementsTitle"),
+			this.resolveLang("command.welcome.message.replacements")
+		);
+		return reply;
+	}
+
+	/**
+	 * Verify newcomer and give verified role.
+	 * @param {module:"discord.js".GuildMember} member Target member.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async verifyMember(member) {
+		const verified = await WelcomeProcessor.verify(member, this.context.getGuildInstance());
+		const reply = new DefaultEmbed(this.context, "guild");
+		reply.setTitle(
+			this.resolveLang(`command.welcome.verify.${verified ? "success" : "already"}.title`)
+		).setDescription(
+			this.resolveLang(`command.welcome.verify.${verified ? "success" : "already"}.description`, {
+				memberID: member.id
+			})
+		);
+		return reply;
+	}
+
+	/**
+	 * Map of subcommands with target as the second parameter. Used for calling function required for different
+	 * commands with resolved parameters.
 	 */
 	#subCommandMap = {
-		manager: async id => {
-			return await this.setRole("manager", id);
+		manager: async ({ role }) => {
+			return await this.setRole("manager", role);
+		},
+		verified: async ({ role }) => {
+			return await this.setRole("verified", role);
 		},
-		verified: async id => {
-			return await this.setRole("verified", id);
+		channel: async ({ channel }) => {
+			return await this.setWelcomeChannel(channel);
 		},
-		channel: async id => {
-			return await this.setWelcomeChannel(id);
+		verify: async ({ member }) => {
+			return await this.verifyMember(member);
 		}
 	};
 
@@ -97,25 +224,41 @@ class WelcomeCommand extends BaseCommand {
 	 * @type {Cognitum.ContextValidatorOptions}
 	 */
 	static validators = {
-		callerPermission: "ADMINISTRATOR",
 		botPermission: "MANAGE_ROLES",
 		arguments: {
-			min: 1,
-			max: 2,
 			values: [
 				[
 					"channel",
 					"manager",
 					"verified",
 					"enable",
-					"disable"
+					"disable",
+					"message",
+					"verify"
 				]
 			]
 		}
 	};
+	/**
+	 * @type {Object<string, Cognitum.ArgumentDeclaration[]>}
+	 */
+	static parameters = {
+		manager: [{ name: "role", type: "role" }],
+		verified: [{ name: "role", type: "role" }],
+		channel: [{ name: "channel", type: "textChannel" }],
+		message: [{ name: "template", type: "text", rest: true, optional: true }],
+		verify: [{ name: "member", type: "member" }]
+	};
 	static code = "welcome";
 	static category = GuildCategory.getCode();
-	static usage = "welcome { enable | disable | manager <role> | verified <role> | channel <channel> }";
+	static examples = [
+		"example.settings",
+		"example.channel",
+		"example.message",
+		"example.preview",
+		"example.verify"
+	];
+	static usage = "welcome [ enable | disable | manager <role> | verified <role> | channel <channel> | message [<template> | reset] | verify <member> ]";
 }
 
 module.exports = WelcomeCommand;
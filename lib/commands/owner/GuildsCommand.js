@@ -0,0 +1,114 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const OwnerCategory = require("../../categories/OwnerCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const { MessageStatisticsModel, GuildMemberModel } = require("../../classes/Database");
+const sequelize = require("sequelize");
+
+class GuildsCommand extends BaseCommand {
+	async run() {
+		const guilds = this.message.client.guilds.cache
+			.array()
+			.sort((first, second) => second.memberCount - first.memberCount);
+		const pagesCount = Math.max(Math.ceil(guilds.length / this.constructor.PAGE_SIZE), 1);
+		const page = Math.min(this.params.page ?? 1, pagesCount);
+		const pageGuilds = guilds.slice((page - 1) * this.constructor.PAGE_SIZE, page * this.constructor.PAGE_SIZE);
+		const messages = await this.#queryMessagesCounts(pageGuilds.map(guild => guild.id));
+		return new DefaultEmbed(this.context, "self")
+			.setTitle(
+				this.resolveLang("command.guilds.listTitle", {
+					guildsCount: guilds.length.toString(),
+					totalCount: (await this.#fetchTotalCount()).toString()
+				})
+			)
+			.setDescription(
+				pageGuilds.length
+					? pageGuilds.map(guild => this.resolveLang("command.guilds.guild", {
+						guildName: guild.name,
+						guildID: guild.id,
+						membersCount: guild.memberCount.toString(),
+						messagesCount: (messages.get(guild.id) ?? 0).toString()
+					})).join("\n")
+					: this.resolveLang("command.guilds.empty")
+			)
+			.setFooter(
+				this.resolveLang("command.guilds.page", {
+					page: page.toString(),
+					pagesCount: pagesCount.toString()
+				})
+			);
+	}
+
+	/**
+	 * Query amount of saved messages of the guilds.
+	 * @param {string[]} guildIds Discord IDs of the guilds.
+	 * @return {Promise<Map<string, number>>} Amount of messages by guild IDs.
+	 */
+	async #queryMessagesCounts(guildIds) {
+		if (!guildIds.length)
+			return new Map();
+		const counts = await MessageStatisticsModel.findAll({
+			attributes: [
+				[sequelize.col("GuildMemberModel.id_guild"), "id_guild"],
+				[sequelize.fn("COUNT", sequelize.col("MessageStatisticsModel.id")), "messages_count"]
+			],
+			include: [
+				{
+					model: GuildMemberModel,
+					attributes: [],
+					where: {
+						id_guild: guildIds
+					}
+				}
+			],
+			group: "GuildMemberModel.id_guild",
+			raw: true
+		});
+		return new Map(counts.map(count => [count["id_guild"].toString(), parseInt(count["messages_count"])]));
+	}
+
+	/**
+	 * Fetch amount of guilds of all shards.
+	 * @return {Promise<number>}
+	 */
+	async #fetchTotalCount() {
+		const client = this.message.client;
+		if (!client.shard)
+			return client.guilds.cache.size;
+		const sizes = await client.shard.fetchClientValues("guilds.cache.size");
+		return sizes.reduce((total, size) => total + size, 0);
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		access: "owner",
+		arguments: {
+			max: 1
+		}
+	};
+
+	/**
+	 * @type {Cognitum.ArgumentDeclaration[]}
+	 */
+	static parameters = [
+		{ name: "page", type: "integer", min: 1, optional: true }
+	];
+
+	static category = OwnerCategory.getCode();
+	static code = "guilds";
+	static dmAllowed = true;
+	static examples = [
+		"example.list",
+		"example.page"
+	];
+	static usage = "guilds [<page>]";
+
+	/**
+	 * Amount of guilds on one page.
+	 * @type {number}
+	 */
+	static PAGE_SIZE = 15;
+}
+
+module.exports = GuildsCommand;
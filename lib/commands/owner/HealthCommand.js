@@ -0,0 +1,92 @@
+const Bot = require("../../classes/CognitumClient");
+const BaseCommand = require("../../classes/base/BaseCommand");
+const OwnerCategory = require("../../categories/OwnerCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const { Constants } = require("discord.js");
+
+class HealthCommand extends BaseCommand {
+	async run() {
+		const memory = process.memoryUsage();
+		const client = this.message.client;
+		return new DefaultEmbed(this.context, "self")
+			.setTitle(
+				this.resolveLang("command.health.healthTitle")
+			)
+			.setDescription(
+				this.resolveLang("command.health.process", {
+					uptime: Bot.getUptimeString(),
+					rss: this.constructor.#formatMemory(memory.rss),
+					heapUsed: this.constructor.#formatMemory(memory.heapUsed),
+					heapTotal: this.constructor.#formatMemory(memory.heapTotal),
+					shardIDs: client.shard?.ids.join(", ") ?? "0"
+				})
+			)
+			.addField(
+				this.resolveLang("command.health.shardsTitle"),
+				(await this.#fetchShardsHealth()).join("\n")
+			);
+	}
+
+	/**
+	 * Fetch connection state of all shards. Values are requested by properties paths, so no code is evaluated on shards.
+	 * @return {Promise<string[]>} Lines with state of every shard.
+	 */
+	async #fetchShardsHealth() {
+		const client = this.message.client;
+		if (!client.shard)
+			return [this.#createShardString(0, client.ws.status, client.ws.ping, client.guilds.cache.size)];
+		try {
+			const [statuses, pings, sizes] = await Promise.all(
+				["ws.status", "ws.ping", "guilds.cache.size"].map(path => client.shard.fetchClientValues(path))
+			);
+			return statuses.map((status, shard) => this.#createShardString(shard, status, pings[shard], sizes[shard]));
+		} catch (error) {
+			return [this.resolveLang("command.health.shardsUnavailable", {
+				error: error.message
+			})];
+		}
+	}
+
+	/**
+	 * Create description of the shard state.
+	 * @param {number} shard Shard ID.
+	 * @param {number} status WebSocket status code.
+	 * @param {number} ping WebSocket heartbeat in milliseconds.
+	 * @param {number} guildsCount Amount of cached guilds.
+	 * @return {string}
+	 */
+	#createShardString(shard, status, ping, guildsCount) {
+		return this.resolveLang("command.health.shard", {
+			shardID: shard.toString(),
+			status: Object.keys(Constants.Status).find(code => Constants.Status[code] === status) ?? status.toString(),
+			ping: Math.round(ping).toString(),
+			guildsCount: guildsCount.toString()
+		});
+	}
+
+	/**
+	 * Format amount of bytes in megabytes.
+	 * @param {number} bytes Amount of bytes.
+	 * @return {string}
+	 */
+	static #formatMemory(bytes) {
+		return `${(bytes / 1048576).toFixed(1)} MB`;
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		access: "owner",
+		arguments: {
+			max: 0
+		}
+	};
+
+	static category = OwnerCategory.getCode();
+	static code = "health";
+	static dmAllowed = true;
+	static usage = "health";
+}
+
+module.exports = HealthCommand;
@@ -0,0 +1,53 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const OwnerCategory = require("../../categories/OwnerCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const ArgumentError = require("../../classes/errors/ArgumentError");
+
+class LeaveCommand extends BaseCommand {
+	async run() {
+		const guild = this.message.client.guilds.cache.get(this.params.guild);
+		if (!guild)
+			throw new ArgumentError("value", {
+				argumentPassed: this.params.guild
+			});
+		await guild.leave();
+		return new DefaultEmbed(this.context, "self")
+			.setTitle(
+				this.resolveLang("command.leave.leftTitle")
+			)
+			.setDescription(
+				this.resolveLang("command.leave.left", {
+					guildName: guild.name,
+					guildID: guild.id
+				})
+			);
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		access: "owner",
+		arguments: {
+			max: 1
+		}
+	};
+
+	/**
+	 * Guild is searched only in the current shard, so guild ID is kept as text.
+	 * @type {Cognitum.ArgumentDeclaration[]}
+	 */
+	static parameters = [
+		{ name: "guild", type: "text" }
+	];
+
+	static category = OwnerCategory.getCode();
+	static code = "leave";
+	static dmAllowed = true;
+	static examples = [
+		"example.leave"
+	];
+	static usage = "leave <guild ID>";
+}
+
+module.exports = LeaveCommand;
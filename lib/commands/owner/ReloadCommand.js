@@ -0,0 +1,45 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const OwnerCategory = require("../../categories/OwnerCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+
+class ReloadCommand extends BaseCommand {
+	async run() {
+		await this.message.client.reload(this.params.target, true);
+		return new DefaultEmbed(this.context, "self")
+			.setTitle(
+				this.resolveLang("command.reload.reloadedTitle")
+			)
+			.setDescription(
+				this.resolveLang(`command.reload.targets.${this.params.target}`)
+			);
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		access: "owner",
+		arguments: {
+			max: 1
+		}
+	};
+
+	/**
+	 * @type {Cognitum.ArgumentDeclaration[]}
+	 */
+	static parameters = [
+		{ name: "target", type: "enum", values: ["lang", "commands", "config"] }
+	];
+
+	static category = OwnerCategory.getCode();
+	static code = "reload";
+	static dmAllowed = true;
+	static examples = [
+		"example.lang",
+		"example.commands",
+		"example.config"
+	];
+	static usage = "reload <lang|commands|config>";
+}
+
+module.exports = ReloadCommand;
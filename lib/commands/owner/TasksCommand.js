@@ -0,0 +1,52 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const OwnerCategory = require("../../categories/OwnerCategory");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const { formatTimeString } = require("../../classes/Utils");
+
+class TasksCommand extends BaseCommand {
+	async run() {
+		const tasks = this.message.client.taskQueue?.getTasks() ?? [];
+		const now = Date.now();
+		const list = tasks.slice(0, this.constructor.LIST_SIZE).map(task => this.resolveLang("command.tasks.task", {
+			taskCode: task.constructor.code,
+			taskID: task.id?.toString() ?? this.resolveLang("command.tasks.unsaved"),
+			timeLeft: formatTimeString((task.time - now) / 1000) || "0s"
+		}));
+		if (tasks.length > list.length)
+			list.push(this.resolveLang("command.tasks.more", {
+				amount: (tasks.length - list.length).toString()
+			}));
+		return new DefaultEmbed(this.context, "self")
+			.setTitle(
+				this.resolveLang("command.tasks.listTitle", {
+					tasksCount: tasks.length.toString()
+				})
+			)
+			.setDescription(
+				list.length ? list.join("\n") : this.resolveLang("command.tasks.empty")
+			);
+	}
+
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		access: "owner",
+		arguments: {
+			max: 0
+		}
+	};
+
+	static category = OwnerCategory.getCode();
+	static code = "tasks";
+	static dmAllowed = true;
+	static usage = "tasks";
+
+	/**
+	 * Maximal amount of tasks in the list.
+	 * @type {number}
+	 */
+	static LIST_SIZE = 20;
+}
+
+module.exports = TasksCommand;
@@ -1,6 +1,10 @@
 const BaseCommand = require("../../classes/base/BaseCommand");
 const StatisticsCategory = require("../../categories/StatisticsCategory");
 const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const StatisticsManager = require("../../classes/statistics/StatisticsManager");
+const StatisticsPeriod = require("../../classes/statistics/StatisticsPeriod");
+const { GuildMemberModel } = require("../../classes/Database");
+const { formatTimeString } = require("../../classes/Utils");
 
 class ProfileCommand extends BaseCommand {
 	/**
@@ -8,10 +12,22 @@ class ProfileCommand extends BaseCommand {
 	 */
 	#targetMember;
 
+	/**
+	 * Database instance of the target member. Null if member was never seen by bot.
+	 * @type {GuildMemberModel|null}
+	 */
+	#targetMemberInstance;
+
 	async run() {
 		this.#targetMember = this.message.member;
 		if (this.args.length === 1 && this.message.mentions.members.size)
 			this.#targetMember = await this.message.mentions.members.last().fetch();
+		this.#targetMemberInstance = await GuildMemberModel.findOne({
+			where: {
+				id_guild: this.#targetMember.guild.id,
+				id_user: this.#targetMember.id
+			}
+		});
 		return await this.#generateProfile();
 	}
 
@@ -36,16 +52,17 @@ class ProfileCommand extends BaseCommand {
 			.setDescription(
 				await this.#generateProfileDescription()
 			);
+		if (!this.#targetMember.user.bot && this.#targetMemberInstance)
+			embed.addField(
+				this.resolveLang("command.profile.statsTitle"),
+				await this.#generateProfileStatistics()
+			);
 		return embed;
 	}
 
 	/**
 	 * Generate profile description for target member.
 	 * @return {Promise<string>} Generated string for embed description.
-	 *
-	 * @todo Calculate messages score and show it in profile.
-	 * @todo Calculate voice time and show it in profile.
-	 * @todo Store and show first guild visit in database.
 	 */
 	async #generateProfileDescription() {
 		return [
@@ -58,6 +75,11 @@ class ProfileCommand extends BaseCommand {
 			this.#targetMember.hasPermission("ADMINISTRATOR")
 				? this.resolveLang("command.profile.parts.admin")
 				: null,
+			this.#targetMemberInstance?.["first_seen"]
+				? this.resolveLang("command.profile.parts.firstSeen", {
+					firstSeenDate: this.context.getLang().formatDate(this.#targetMemberInstance["first_seen"])
+				})
+				: null,
 			this.resolveLang("command.profile.parts.lastJoined", {
 				joinDate: this.context.getLang().formatDate(this.#targetMember.joinedAt)
 			}),
@@ -67,13 +89,55 @@ class ProfileCommand extends BaseCommand {
 		].filter(part => part?.length).join("\n");
 	}
 
+	/**
+	 * Generate activity statistics for target member.
+	 * @return {Promise<string>} Generated string for statistics field.
+	 */
+	async #generateProfileStatistics() {
+		const memberId = this.#targetMemberInstance["id"];
+		const manager = new StatisticsManager(this.message);
+		const recentPeriod = StatisticsPeriod.parse(this.constructor.RECENT_PERIOD);
+		const messagesRank = await manager.queryMemberMessagesRank(memberId);
+		const voiceRank = await manager.queryMemberVoiceRank(memberId);
+		const topChannel = await manager.queryMemberTopChannel(memberId);
+		return [
+			this.resolveLang("command.profile.stats.messages", {
+				total: await manager.queryMemberMessagesWeight(memberId),
+				recent: await manager.queryMemberMessagesWeight(memberId, recentPeriod),
+				period: this.constructor.RECENT_PERIOD
+			}),
+			this.resolveLang("command.profile.stats.voice", {
+				time: formatTimeString(await manager.queryMemberVoiceTime(memberId)) || "0s"
+			}),
+			this.resolveLang("command.profile.stats.rank", {
+				messagesRank: messagesRank ? `#${messagesRank}` : "—",
+				voiceRank: voiceRank ? `#${voiceRank}` : "—"
+			}),
+			topChannel
+				? this.resolveLang("command.profile.stats.topChannel", {
+					channelId: topChannel["id_channel"].toString()
+				})
+				: null
+		].filter(part => part?.length).join("\n");
+	}
+
 	static category = StatisticsCategory.getCode();
 	static code = "profile";
+	/**
+	 * @type {Cognitum.CommandCooldown}
+	 */
+	static cooldown = { scope: "user", duration: 10, uses: 2 };
 	static usage = "profile [<user>]";
 	static examples = [
 		"example.caller",
 		"example.selected"
 	];
+
+	/**
+	 * Period of recent activity shown in profile.
+	 * @type {string}
+	 */
+	static RECENT_PERIOD = "30d";
 }
 
 module.exports = ProfileCommand;
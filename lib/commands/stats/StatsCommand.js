@@ -0,0 +1,156 @@
+const BaseCommand = require("../../classes/base/BaseCommand");
+const StatisticsCategory = require("../../categories/StatisticsCategory");
+const ArgumentError = require("../../classes/errors/ArgumentError");
+const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
+const ActivityChart = require("../../classes/content/ActivityChart");
+const StatisticsManager = require("../../classes/statistics/StatisticsManager");
+const StatisticsPeriod = require("../../classes/statistics/StatisticsPeriod");
+const { GuildMemberModel } = require("../../classes/Database");
+const { formatTimeString } = require("../../classes/Utils");
+
+class StatsCommand extends BaseCommand {
+	async run() {
+		return await this.generateChart(this.args.slice(1));
+	}
+
+	/**
+	 * Generate daily activity chart of the guild, member or channel.
+	 * @param {string[]} args Optional target and period arguments in any order.
+	 * @return {Promise<DefaultEmbed>}
+	 * @throws {ArgumentError}
+	 */
+	async generateChart(args) {
+		let target = { type: "guild", fillOptions: { guildName: this.message.guild.name }, condition: {} };
+		let period = StatisticsPeriod.parse(`${this.constructor.DEFAULT_DAYS}d`);
+		for (const argument of args) {
+			const parsedPeriod = StatisticsPeriod.parse(argument);
+			if (parsedPeriod)
+				period = parsedPeriod;
+			else
+				target = await this.#resolveTarget(argument);
+		}
+		const { from, to } = this.#limitPeriod(period);
+		const chart = new ActivityChart();
+		if (target.condition) {
+			const chartPeriod = new StatisticsPeriod(from, to);
+			const manager = new StatisticsManager(this.message);
+			const messages = await manager.queryDailyMessages(target.condition, chartPeriod);
+			const voice = await manager.queryDailyVoice(target.condition, chartPeriod);
+			for (let day = from; day < to; day = new Date(day.getTime() + 86400000)) {
+				const date = day.toISOString().substr(0, 10);
+				chart.push({ date, messages: messages.get(date) ?? 0, voice: voice.get(date) ?? 0 });
+			}
+		}
+		const embed = new DefaultEmbed(this.context, "guild");
+		embed.setTitle(
+			this.resolveLang(`command.stats.chart.title.${target.type}`, target.fillOptions)
+		);
+		if (!chart.some(day => day.messages > 0 || day.voice > 0))
+			return embed.setDescription(this.resolveLang("command.stats.chart.empty"));
+		embed.setDescription(
+			this.resolveLang("command.stats.chart.summary", {
+				messages: chart.reduce((total, day) => total + day.messages, 0).toString(),
+				voice: formatTimeString(chart.reduce((total, day) => total + day.voice, 0)) || "0s"
+			})
+		).setFooter(
+			this.resolveLang("command.stats.chart.period", {
+				from: chart[0].date,
+				to: chart[chart.length - 1].date
+			})
+		).attachFiles([
+			{ attachment: chart.render(), name: "activity.png" }
+		]).setImage("attachment://activity.png");
+		return embed;
+	}
+
+	/**
+	 * Resolve target of the chart from member or channel mention.
+	 * @param {string} argument Command argument.
+	 * @return {Promise<{type: "member"|"channel", fillOptions: Object<string, string>, condition: Object|null}>}
+	 *     Target with condition for statistics queries. Condition is null if member was never seen by bot. Channels
+	 *     hidden from statistics are rejected.
+	 * @throws {ArgumentError}
+	 */
+	async #resolveTarget(argument) {
+		const memberId = /^<@!?(\d+)>$/.exec(argument)?.[1];
+		const member = memberId ? await this.message.guild.members.fetch(memberId).catch(() => null) : null;
+		if (member) {
+			const memberInstance = await GuildMemberModel.findOne({
+				where: {
+					id_guild: this.message.guild.id,
+					id_user: member.id
+				}
+			});
+			return {
+				type: "member",
+				fillOptions: { username: member.user.username },
+				condition: memberInstance ? { id_member: memberInstance["id"] } : null
+			};
+		}
+		const channelId = /^<#(\d+)>$/.exec(argument)?.[1];
+		const channel = channelId ? this.message.guild.channels.cache.get(channelId) : null;
+		if (channel && ["text", "news", "voice"].includes(channel.type)) {
+			if (!await new StatisticsManager(this.message).isChannelVisible(channel.id))
+				throw new ArgumentError("hiddenChannel", {
+					channelName: channel.name
+				});
+			return {
+				type: "channel",
+				fillOptions: { channelName: channel.name },
+				condition: { id_channel: channel.id }
+			};
+		}
+		throw new ArgumentError("value", {
+			argumentPassed: argument
+		});
+	}
+
+	/**
+	 * Align period to the whole days (UTC) and limit it by the maximal amount of days in chart.
+	 * @param {StatisticsPeriod} period Selected period.
+	 * @return {{from: Date, to: Date}} Beginning of the first day and end of the last day of chart.
+	 */
+	#limitPeriod(period) {
+		const dayLength = 86400000;
+		const to = new Date(Math.ceil((period.to ?? new Date()).getTime() / dayLength) * dayLength);
+		const earliest = to.getTime() - this.constructor.MAX_DAYS * dayLength;
+		const from = new Date(Math.max(Math.floor((period.from?.getTime() ?? earliest) / dayLength) * dayLength, earliest));
+		return { from, to };
+	}
+
+	static code = "stats";
+	static category = StatisticsCategory.getCode();
+	/**
+	 * @type {Cognitum.ContextValidatorOptions}
+	 */
+	static validators = {
+		arguments: {
+			min: 1,
+			max: 3,
+			values: [["chart"]]
+		}
+	};
+	/**
+	 * @type {Cognitum.CommandCooldown}
+	 */
+	static cooldown = { scope: "user", duration: 30, uses: 2 };
+	static usage = "stats chart [ <member> | <channel> ] [ 7d | 30d | all | <from>..<to> ]";
+	static examples = [
+		"example.chart",
+		"example.chartMember",
+		"example.chartChannel"
+	];
+
+	/**
+	 * Amount of days shown by default.
+	 * @type {number}
+	 */
+	static DEFAULT_DAYS = 30;
+	/**
+	 * Maximal amount of days in chart. Longer periods are cut to the last days.
+	 * @type {number}
+	 */
+	static MAX_DAYS = 180;
+}
+
+module.exports = StatsCommand;
@@ -3,27 +3,39 @@ const StatisticsCategory = require("../../categories/StatisticsCategory");
 const ArgumentError = require("../../classes/errors/ArgumentError");
 const DefaultEmbed = require("../../classes/embed/DefaultEmbed");
 const StatisticsManager = require("../../classes/statistics/StatisticsManager");
+const StatisticsPeriod = require("../../classes/statistics/StatisticsPeriod");
 const OrderedList = require("../../classes/content/OrderedList");
 const { formatTimeString } = require("../../classes/Utils");
 
 class TopCommand extends BaseCommand {
 	#selectedPage;
 
+	/**
+	 * Selected statistics period.
+	 * @type {StatisticsPeriod}
+	 */
+	#selectedPeriod;
+
 	async run() {
 		this.#selectedPage = 1;
-		if (this.args.length === 2) {
-			this.#selectedPage = isFinite(parseInt(this.args[1]))
-				? parseInt(this.args[1])
-				: 1;
-		}
+		this.#selectedPeriod = new StatisticsPeriod();
+		const voiceSubview = ["voice", "v"].includes(this.args[0]) ? this.#parseVoiceSubview(this.args[1]) : null;
+		this.#parseOptionalArguments(this.args.slice(voiceSubview ? 2 : 1));
 		if (["channels", "ch"].includes(this.args[0]))
 			return await this.#generateChannelsList();
+		if (voiceSubview === "channels")
+			return await this.#generateVoiceChannelsList();
+		if (voiceSubview)
+			return await this.#generateVoiceListForChannel(voiceSubview);
 		if (["voice", "v"].includes(this.args[0]))
 			return await this.#generateVoiceList();
 		if (["users", "u"].includes(this.args[0]))
 			return await this.#generateMembersList();
-		if (this.message.mentions.channels.size && this.message.mentions.channels.first()?.type === "text")
-			return await this.#generateMembersListForChannel(this.message.mentions.channels.first());
+		const mentionedChannel = this.message.mentions.channels.first();
+		if (["text", "news"].includes(mentionedChannel?.type))
+			return await this.#generateMembersListForChannel(mentionedChannel);
+		if (mentionedChannel?.type === "voice")
+			return await this.#generateVoiceListForChannel(mentionedChannel);
 		throw new ArgumentError("value", {
 			argumentPassed: this.args[0]
 		});
@@ -31,7 +43,7 @@ class TopCommand extends BaseCommand {
 
 	async #generateChannelsList() {
 		const embed = this.#createBaseEmbed("channels", { guildName: this.message.guild.name });
-		const topChannels = await new StatisticsManager(this.message).queryTopChannels();
+		const topChannels = await new StatisticsManager(this.message).queryTopChannels(this.#selectedPeriod);
 		const { start, end } = this.#calculatePageOffsets(topChannels);
 		const list = new OrderedList();
 		list.startPoint = start + 1;
@@ -50,7 +62,7 @@ class TopCommand extends BaseCommand {
 
 	async #generateVoiceList() {
 		const embed = this.#createBaseEmbed("voice", { guildName: this.message.guild.name });
-		const topVoice = await new StatisticsManager(this.message).queryTopVoice();
+		const topVoice = await new StatisticsManager(this.message).queryTopVoice(this.#selectedPeriod);
 		const { start, end } = this.#calculatePageOffsets(topVoice);
 		const list = new OrderedList();
 		list.startPoint = start + 1;
@@ -67,9 +79,56 @@ class TopCommand extends BaseCommand {
 		return embed;
 	}
 
+	async #generateVoiceChannelsList() {
+		const embed = this.#createBaseEmbed("voiceChannels", { guildName: this.message.guild.name });
+		const topChannels = await new StatisticsManager(this.message).queryTopVoiceChannels(this.#selectedPeriod);
+		const { start, end } = this.#calculatePageOffsets(topChannels);
+		const list = new OrderedList();
+		list.startPoint = start + 1;
+		list.setStyler(OrderedList.STYLER_DOTTED);
+		for (let i = start; i < end; i++) {
+			let statsElement = topChannels[i];
+			list.push(`<#${statsElement["id_channel"].toString()}> ${formatTimeString(statsElement.getDataValue("total_weight"))}`);
+		}
+		embed.setDescription(
+			list.length
+				? list.toString()
+				: this.resolveLang("command.top.statsEmpty.voiceChannels")
+		);
+		return embed;
+	}
+
+	/**
+	 * Generate top members voice activity list for the target voice channel.
+	 * @param {module:"discord.js".VoiceChannel} channel Target channel.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async #generateVoiceListForChannel(channel) {
+		await this.#assertChannelAvailable(channel);
+		const embed = this.#createBaseEmbed("voiceChannelMembers", { channelName: channel.name });
+		const topVoice = await new StatisticsManager(this.message).queryTopVoiceMembersForChannel(
+			channel.id,
+			this.#selectedPeriod
+		);
+		const { start, end } = this.#calculatePageOffsets(topVoice);
+		const list = new OrderedList();
+		list.startPoint = start + 1;
+		list.setStyler(OrderedList.STYLER_DOTTED);
+		for (let i = start; i < end; i++) {
+			let statsElement = topVoice[i];
+			list.push(`<@${statsElement.GuildMemberModel.getDataValue("id_user").toString()}> ${formatTimeString(statsElement.getDataValue("total_weight"))}`);
+		}
+		embed.setDescription(
+			list.length
+				? list.toString()
+				: this.resolveLang("command.top.statsEmpty.voiceChannelMembers")
+		);
+		return embed;
+	}
+
 	async #generateMembersList() {
 		const embed = this.#createBaseEmbed("members", { guildName: this.message.guild.name });
-		const topMembers = await new StatisticsManager(this.message).queryTopMembers();
+		const topMembers = await new StatisticsManager(this.message).queryTopMembers(this.#selectedPeriod);
 		const { start, end } = this.#calculatePageOffsets(topMembers);
 		const list = new OrderedList();
 		list.startPoint = start + 1;
@@ -88,7 +147,7 @@ class TopCommand extends BaseCommand {
 
 	/**
 	 * Generate base embed for filling with list.
-	 * @param {"channels"|"voice"|"members"|"channelMembers"} listType Type of list for selected embed.
+	 * @param {"channels"|"voice"|"members"|"channelMembers"|"voiceChannels"|"voiceChannelMembers"} listType Type of list for selected embed.
 	 * @param {Object<string, string>} fillOptions Options for replacement on embed title.
 	 * @return {DefaultEmbed} Generated embed.
 	 */
@@ -96,17 +155,115 @@ class TopCommand extends BaseCommand {
 		const embed = new DefaultEmbed(this.context, "guild");
 		embed.setTitle(
 			this.resolveLang(`command.top.listTitle.${listType}`, fillOptions)
+		).setFooter(
+			this.#createPeriodString()
 		);
 		return embed;
 	}
 
 	/**
-	 *
-	 * @param channel
+	 * Parse subview of voice list: `channels` for the busiest voice channels or voice channel mention for top members
+	 * of this channel.
+	 * @param {string} [argument] Argument passed after list type.
+	 * @return {"channels"|module:"discord.js".VoiceChannel|null} Selected subview or null for the default list.
+	 * @throws {ArgumentError}
+	 */
+	#parseVoiceSubview(argument) {
+		if (["channels", "ch"].includes(argument))
+			return "channels";
+		const channelId = /^<#(\d+)>$/.exec(argument ?? "")?.[1];
+		if (!channelId)
+			return null;
+		const channel = this.message.guild.channels.cache.get(channelId);
+		if (channel?.type !== "voice")
+			throw new ArgumentError("value", {
+				argumentPassed: argument
+			});
+		return channel;
+	}
+
+	/**
+	 * Parse page and period arguments. Both of them are optional and can be passed in any order.
+	 * @param {string[]} args Arguments passed after list type.
+	 * @throws {ArgumentError}
+	 */
+	#parseOptionalArguments(args) {
+		args.forEach(argument => {
+			if (/^\d+$/.test(argument))
+				return void (this.#selectedPage = parseInt(argument) || 1);
+			const period = StatisticsPeriod.parse(argument);
+			if (!period)
+				throw new ArgumentError("value", {
+					argumentPassed: argument
+				});
+			this.#selectedPeriod = period;
+		});
+	}
+
+	/**
+	 * Create description of the selected period.
+	 * @return {string}
+	 */
+	#createPeriodString() {
+		const period = this.#selectedPeriod;
+		if (period.isUnlimited())
+			return this.resolveLang("command.top.period.all");
+		if (period.duration !== null)
+			return this.resolveLang("command.top.period.last", {
+				duration: formatTimeString(period.duration)
+			});
+		const formatDate = date => date.toISOString().substr(0, 10);
+		return this.resolveLang("command.top.period.range", {
+			from: period.from ? formatDate(period.from) : "…",
+			// Period end is exclusive, so the last included day is shown.
+			to: period.to ? formatDate(new Date(period.to.getTime() - 86400000)) : "…"
+		});
+	}
+
+	/**
+	 * Check that statistics of the target channel can be shown. Channels of other guilds and channels hidden from
+	 * statistics are rejected.
+	 * @param {module:"discord.js".GuildChannel} channel Target channel.
 	 * @return {Promise<void>}
+	 * @throws {ArgumentError}
 	 */
-	async #generateMembersListForChannel(channel) {
+	async #assertChannelAvailable(channel) {
+		if (channel.guild.id !== this.message.guild.id)
+			throw new ArgumentError("value", {
+				argumentPassed: this.args[0]
+			});
+		if (!await new StatisticsManager(this.message).isChannelVisible(channel.id))
+			throw new ArgumentError("hiddenChannel", {
+				channelName: channel.name
+			});
+	}
 
+	/**
+	 * Generate top members list for the target text channel.
+	 * @param {module:"discord.js".TextChannel} channel Target channel.
+	 * @return {Promise<DefaultEmbed>}
+	 */
+	async #generateMembersListForChannel(channel) {
+		await this.#assertChannelAvailable(channel);
+		const embed = this.#createBaseEmbed("channelMembers", { channelName: channel.name });
+		const topMembers = await new StatisticsManager(this.message).queryTopMembersForChannel(
+			channel.id,
+			this.#selectedPeriod
+		);
+		const { start, end } = this.#calculatePageOffsets(topMembers);
+		const list = new OrderedList();
+		list.startPoint = start + 1;
+		list.setStyler(OrderedList.STYLER_DOTTED);
+		for (let i = start; i < end; i++) {
+			let statsElement = topMembers[i];
+			list.push(`<@${statsElement.GuildMemberModel.getDataValue("id_user").toString()}> [${statsElement.getDataValue("total_weight")}]`);
+		}
+		embed.setDescription(
+			list.length
+				? list.toString()
+				: this.resolveLang("command.top.statsEmpty.channelMembers")
+		);
+		return embed;
 	}
 
 	get #selectedOffsetStart() {
@@ -139,15 +296,24 @@ class TopCommand extends BaseCommand {
 	static validators = {
 		arguments: {
 			min: 1,
-			max: 2,
-			values: [/^(ch(annel)?|v(oice)?|u(sers)?|<#\d+>)$/, /^\d+$/]
+			max: 4,
+			values: [/^(ch(annels)?|v(oice)?|u(sers)?|<#\d+>)$/]
 		}
 	};
-	static usage = "top <list_type> [<page>]";
+	/**
+	 * @type {Cognitum.CommandCooldown}
+	 */
+	static cooldown = { scope: "user", duration: 10, uses: 2 };
+	static usage = "top { channels | users | voice [ channels | <voice channel> ] | <channel> } [ 24h | 7d | 30d | all | <from>..<to> ] [<page>]";
 	static examples = [
 		"example.channels",
+		"example.channelMembers",
 		"example.voiceShort",
-		"example.usersPaged"
+		"example.voiceChannels",
+		"example.voiceChannelMembers",
+		"example.usersPaged",
+		"example.period",
+		"example.range"
 	];
 
 	static PAGE_SIZE = 10;
@@ -1,60 +1,13 @@
 const BaseCommand = require("../../classes/base/BaseCommand");
 const UtilsCategory = require("../../categories/UtilsCategory");
-const TimeStringError = require("../../classes/errors/TimeStringError");
 const ReminderTask = require("../../classes/tasks/commands/ReminderTask");
 const { escapeMarkdown, formatTimeString } = require("../../classes/Utils");
 
 class RemindCommand extends BaseCommand {
 	async run() {
-		const seconds = this.constructor.#calculateSeconds(
-			this.#parseTimeArgument()
-		);
-		this.args.pop();
-		const message = this.args.join(" ");
-		this.#createReminderTask(message, seconds);
-		return this.#createSuccessMessage(message, seconds);
-	}
-
-	/**
-	 * Parse time argument and return elements.
-	 * @return {Cognitum.TimeStringParseResult}
-	 */
-	#parseTimeArgument() {
-		const parsed = /^((\d\d?)d)?((\d\d?)h)?((\d\d?)m)?((\d\d?)s)?$/.exec(this.args[this.args.length - 1]);
-		if (!parsed)
-			throw new TimeStringError("notParsed");
-		const time = {
-			days: parseInt(parsed[2]),
-			hours: parseInt(parsed[4]),
-			minutes: parseInt(parsed[6]),
-			seconds: parseInt(parsed[8])
-		};
-		if (
-			time.days && (time.days < 1 || time.days > 30)
-			|| time.hours && (time.hours < 1 || time.hours > 23)
-			|| time.minutes && (time.minutes < 1 || time.minutes > 59)
-			|| time.seconds && (time.seconds < 1 || time.seconds > 59)
-		) {
-			throw new TimeStringError("wrongParams");
-		}
-		return time;
-	}
-
-	/**
-	 * Calculate amount of seconds for reminder.
-	 * @param {Cognitum.TimeStringParseResult} timeParts Time parts parsed from argument.
-	 * @return {number} Amount of seconds.
-	 */
-	static #calculateSeconds(timeParts) {
-		const result = (
-			(timeParts.seconds ? timeParts.seconds : 0) +
-			(timeParts.minutes ? timeParts.minutes * 60 : 0) +
-			(timeParts.hours ? timeParts.hours * 3600 : 0) +
-			(timeParts.days ? timeParts.days * 86400 : 0)
-		);
-		if (result <= 0)
-			throw new TimeStringError("zeroTime");
-		return result;
+		const message = this.params["message"] ?? "";
+		this.#createReminderTask(message, this.params["time"]);
+		return this.#createSuccessMessage(message, this.params["time"]);
 	}
 
 	/**
@@ -89,6 +42,7 @@ class RemindCommand extends BaseCommand {
 
 	static code = "remind";
 	static category = UtilsCategory.getCode();
+	static dmAllowed = true;
 	static aliases = ["remindme"];
 	static examples = [
 		"example.simple",
@@ -96,13 +50,13 @@ class RemindCommand extends BaseCommand {
 	];
 	static usage = "remind [<reminder_text>] <time_string>";
 	/**
-	 * @type {Cognitum.ContextValidatorOptions}
+	 * Reminder text takes all arguments before the time string, maximal time is 29 days 23 hours 59 minutes 59 seconds.
+	 * @type {Cognitum.ArgumentDeclaration[]}
 	 */
-	static validators = {
-		arguments: {
-			min: 1
-		}
-	};
+	static parameters = [
+		{ name: "message", type: "text", rest: true, optional: true },
+		{ name: "time", type: "duration", max: 2591999 }
+	];
 }
 
 module.exports = RemindCommand;
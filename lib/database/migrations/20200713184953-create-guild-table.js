@@ -8,9 +8,12 @@ module.exports = {
 	 * @return {Promise<void>}
 	 */
 	up: async (queryInterface, Sequelize) => {
+		// SQLite driver returns integers as JS numbers, so Discord IDs would lose precision. Text keeps them as strings,
+		// the same way MariaDB driver returns them.
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
 		await queryInterface.createTable("guild", {
 			id: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				primaryKey: true,
 				allowNull: false,
 				comment: "Guild Discord Snowflake"
@@ -47,17 +50,17 @@ module.exports = {
 				comment: "Welcome feature for current guild",
 			},
 			welcome_channel: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: true,
 				comment: "Welcome channel ID for welcome message sending and managers approving"
 			},
 			welcome_manager_role: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: true,
 				comment: "Welcome manager role ID for welcome feature"
 			},
 			welcome_verified_role: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: true,
 				comment: "Approved member role ID"
 			},
@@ -73,12 +76,12 @@ module.exports = {
 				comment: "Logging feature for current guild"
 			},
 			logs_private_channel: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: true,
 				comment: "Private logs channel ID"
 			},
 			logs_public_channel: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: true,
 				comment: "Public logs channel ID"
 			},
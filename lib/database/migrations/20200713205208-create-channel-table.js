@@ -8,18 +8,19 @@ module.exports = {
 	 * @return {Promise<void>}
 	 */
 	up: async (queryInterface, Sequelize) => {
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
 		/**
 		 * Creating table.
 		 */
 		await queryInterface.createTable("channel", {
 			id: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: false,
 				primaryKey: true,
 				comment: "Guild channel ID"
 			},
 			id_guild: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: false,
 				comment: "Related guild ID"
 			},
@@ -8,9 +8,10 @@ module.exports = {
 	 * @return {Promise<void>}
 	 */
 	up: async (queryInterface, Sequelize) => {
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
 		await queryInterface.createTable("user", {
 			id: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: false,
 				primaryKey: true,
 				comment: "User Discord ID"
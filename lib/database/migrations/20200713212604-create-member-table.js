@@ -8,6 +8,7 @@ module.exports = {
 	 * @return {Promise<void>}
 	 */
 	up: async (queryInterface, Sequelize) => {
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
 		/**
 		 * Creating table for members.
 		 */
@@ -20,12 +21,12 @@ module.exports = {
 				comment: "Internal member ID"
 			},
 			id_guild: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: false,
 				comment: "Related Discord guild ID"
 			},
 			id_user: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				allowNull: false,
 				comment: "Related Discord user ID"
 			},
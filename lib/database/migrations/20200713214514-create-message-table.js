@@ -8,12 +8,13 @@ module.exports = {
 	 * @return {Promise<void>}
 	 */
 	up: async (queryInterface, Sequelize) => {
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
 		/**
 		 * Creating message table.
 		 */
 		await queryInterface.createTable("message", {
 			id: {
-				type: Sequelize.BIGINT.UNSIGNED,
+				type: snowflake,
 				primaryKey: true,
 				allowNull: false,
 				comment: "Message Discord ID"
@@ -9,11 +9,12 @@ module.exports = {
 	 * @return {Promise<void>}
 	 */
 	up: async (queryInterface, Sequelize) => {
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
 		// New column requires relationship with one of the channels, but there is no information about channels
 		// available, so we can't use old data after this migration. Deleting all available data.
 		await queryInterface.bulkDelete("message", {});
 		await queryInterface.addColumn("message", "id_channel", {
-			type: Sequelize.BIGINT.UNSIGNED,
+			type: snowflake,
 			allowNull: false,
 			comment: "Related channel ID"
 		});
@@ -8,6 +8,10 @@ module.exports = {
 	 * @return {Promise<void>}
 	 */
 	up: async (queryInterface, Sequelize) => {
+		// SQLite integer primary key is already autoincrement and changing column there recreates the table without
+		// primary key and foreign key constraint.
+		if (queryInterface.sequelize.getDialect() === "sqlite")
+			return;
 		await queryInterface.changeColumn("voice", "id", {
 			type: Sequelize.INTEGER.UNSIGNED,
 			allowNull: false,
@@ -22,6 +26,8 @@ module.exports = {
 	 * @return {Promise<void>}
 	 */
 	down: async (queryInterface, Sequelize) => {
+		if (queryInterface.sequelize.getDialect() === "sqlite")
+			return;
 		await queryInterface.changeColumn("voice", "id", {
 			type: Sequelize.INTEGER.UNSIGNED,
 			allowNull: false,
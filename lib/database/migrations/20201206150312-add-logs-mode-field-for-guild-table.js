@@ -0,0 +1,26 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Adding new field to table.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.addColumn("guild", "logs_mode", {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0,
+			comment: "Logs messages mode: 0 for compact text, 1 for embeds"
+		});
+	},
+	/**
+	 * Reverting this added field. All data will be saved.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn("guild", "logs_mode");
+	}
+};
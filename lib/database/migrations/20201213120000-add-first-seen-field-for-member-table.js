@@ -0,0 +1,33 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Adding first seen date for guild members. Date is filled from the earliest tracked activity of existing members.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.addColumn("member", "first_seen", {
+			type: Sequelize.DATE,
+			allowNull: true,
+			comment: "Date of the first contact with guild member"
+		});
+		await queryInterface.sequelize.query(
+			"UPDATE member SET first_seen = (SELECT MIN(timestamp) FROM message WHERE message.id_member = member.id)"
+		);
+		await queryInterface.sequelize.query(
+			"UPDATE member SET first_seen = (SELECT MIN(timestamp_begin) FROM voice WHERE voice.id_member = member.id) "
+			+ "WHERE EXISTS (SELECT 1 FROM voice WHERE voice.id_member = member.id) AND (first_seen IS NULL "
+			+ "OR first_seen > (SELECT MIN(timestamp_begin) FROM voice WHERE voice.id_member = member.id))"
+		);
+	},
+	/**
+	 * Reverting this added field. First seen dates will be lost.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn("member", "first_seen");
+	}
+};
@@ -0,0 +1,50 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Creating table for voice sessions in progress.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable("voice_session", {
+			id_member: {
+				type: Sequelize.INTEGER.UNSIGNED,
+				primaryKey: true,
+				allowNull: false,
+				comment: "Internal member ID"
+			},
+			timestamp_begin: {
+				type: Sequelize.DATE,
+				allowNull: false,
+				comment: "Voice session started timestamp"
+			},
+			timestamp_heartbeat: {
+				type: Sequelize.DATE,
+				allowNull: false,
+				comment: "Last time the session was confirmed by bot"
+			}
+		});
+		await queryInterface.addConstraint("voice_session", {
+			fields: ["id_member"],
+			type: "foreign key",
+			name: "fk_voice_session_related_to_guild_member",
+			references: {
+				table: "member",
+				field: "id"
+			},
+			onDelete: "cascade",
+			onUpdate: "restrict"
+		});
+	},
+	/**
+	 * Simply dropping voice sessions table. Sessions in progress will be lost on undoing this migration!
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeConstraint("voice_session", "fk_voice_session_related_to_guild_member");
+		await queryInterface.dropTable("voice_session");
+	}
+};
@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Duration of one voice statistics bucket in seconds. Must be the same as `VoiceStateManager.BUCKET_DURATION`.
+ * @type {number}
+ */
+const BUCKET_DURATION = 3600;
+
+/**
+ * Convert timestamp received from voice table to Date.
+ * @param {Date|string} value Date instance or UTC timestamp string in format `YYYY-MM-DD HH:MM:SS`.
+ * @return {Date}
+ */
+function parseTimestamp(value) {
+	if (value instanceof Date)
+		return value;
+	return new Date(value.replace(" ", "T") + "Z");
+}
+
+/**
+ * Convert Date to UTC timestamp string in format `YYYY-MM-DD HH:MM:SS`.
+ * @param {Date} date
+ * @return {string}
+ */
+function formatTimestamp(date) {
+	return date.toISOString().replace("T", " ").replace(/\.\d+Z$/, "");
+}
+
+module.exports = {
+	/**
+	 * Converting voice records weight from TIME to amount of seconds and splitting records longer than one hour into
+	 * hourly buckets.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		const sequelize = queryInterface.sequelize;
+		if (sequelize.getDialect() === "sqlite") {
+			// SQLite column types are only affinities and changing column there recreates the table without primary
+			// key and foreign key constraint, so only values are converted.
+			const [records] = await sequelize.query("SELECT id, weight FROM voice");
+			for (const record of records) {
+				const seconds = String(record["weight"]).split(":")
+					.reduce((total, part) => total * 60 + parseInt(part), 0);
+				await sequelize.query("UPDATE voice SET weight = ? WHERE id = ?", {
+					replacements: [seconds, record["id"]]
+				});
+			}
+		} else {
+			await queryInterface.addColumn("voice", "weight_seconds", {
+				type: Sequelize.INTEGER.UNSIGNED,
+				allowNull: false,
+				defaultValue: 0,
+				comment: "Amount of seconds for this voice record"
+			});
+			await sequelize.query("UPDATE voice SET weight_seconds = TIME_TO_SEC(weight)");
+			await queryInterface.removeColumn("voice", "weight");
+			await queryInterface.renameColumn("voice", "weight_seconds", "weight");
+		}
+		const [longRecords] = await sequelize.query("SELECT * FROM voice WHERE weight > ?", {
+			replacements: [BUCKET_DURATION]
+		});
+		for (const record of longRecords) {
+			const begin = parseTimestamp(record["timestamp_begin"]).getTime();
+			const end = begin + record["weight"] * 1000;
+			const firstBucketEnd = (Math.floor(begin / 1000 / BUCKET_DURATION) + 1) * BUCKET_DURATION * 1000;
+			await sequelize.query("UPDATE voice SET weight = ? WHERE id = ?", {
+				replacements: [(firstBucketEnd - begin) / 1000, record["id"]]
+			});
+			const buckets = [];
+			for (let bucketBegin = firstBucketEnd; bucketBegin < end; bucketBegin += BUCKET_DURATION * 1000) {
+				buckets.push({
+					id_member: record["id_member"],
+					timestamp_begin: formatTimestamp(new Date(bucketBegin)),
+					weight: Math.round((Math.min(end, bucketBegin + BUCKET_DURATION * 1000) - bucketBegin) / 1000)
+				});
+			}
+			if (buckets.length)
+				await queryInterface.bulkInsert("voice", buckets);
+		}
+	},
+	/**
+	 * Reverting weight back to TIME type. Split records are not merged back and values exceeding TIME limit
+	 * (838:59:59) will be truncated.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface, Sequelize) => {
+		const sequelize = queryInterface.sequelize;
+		if (sequelize.getDialect() === "sqlite") {
+			const [records] = await sequelize.query("SELECT id, weight FROM voice");
+			for (const record of records) {
+				const seconds = Math.min(parseInt(record["weight"]), 838 * 3600 + 59 * 60 + 59);
+				const time = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60].join(":");
+				await sequelize.query("UPDATE voice SET weight = ? WHERE id = ?", {
+					replacements: [time, record["id"]]
+				});
+			}
+			return;
+		}
+		await queryInterface.addColumn("voice", "weight_time", {
+			type: Sequelize.TIME,
+			allowNull: false,
+			defaultValue: "00:00:00",
+			comment: "Amount of time for this voice record"
+		});
+		await sequelize.query("UPDATE voice SET weight_time = SEC_TO_TIME(weight)");
+		await queryInterface.removeColumn("voice", "weight");
+		await queryInterface.renameColumn("voice", "weight_time", "weight");
+	}
+};
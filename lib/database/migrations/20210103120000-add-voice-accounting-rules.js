@@ -0,0 +1,60 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Adding voice accounting rules for guilds and exclusion reason for voice records and sessions. Rules are disabled by
+	 * default, so voice time of existing guilds is counted same as before.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.addColumn("guild", "voice_ignore_afk", {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0,
+			comment: "Exclude time spent in the AFK channel from voice statistics"
+		});
+		await queryInterface.addColumn("guild", "voice_ignore_deafened", {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0,
+			comment: "Exclude time spent deafened from voice statistics"
+		});
+		await queryInterface.addColumn("guild", "voice_ignore_muted", {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0,
+			comment: "Exclude time spent muted from voice statistics"
+		});
+		await queryInterface.addColumn("guild", "voice_min_members", {
+			type: Sequelize.TINYINT.UNSIGNED,
+			allowNull: false,
+			defaultValue: 1,
+			comment: "Minimal amount of non-bot members in channel required for counting voice time"
+		});
+		await queryInterface.addColumn("voice", "exclusion", {
+			type: Sequelize.TINYINT,
+			allowNull: true,
+			comment: "Reason of excluding this record from statistics, null for counted time"
+		});
+		await queryInterface.addColumn("voice_session", "exclusion", {
+			type: Sequelize.TINYINT,
+			allowNull: true,
+			comment: "Reason of excluding this session from statistics, null for counted time"
+		});
+	},
+	/**
+	 * Reverting this added fields. Excluded voice records will be counted again.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn("voice_session", "exclusion");
+		await queryInterface.removeColumn("voice", "exclusion");
+		await queryInterface.removeColumn("guild", "voice_min_members");
+		await queryInterface.removeColumn("guild", "voice_ignore_muted");
+		await queryInterface.removeColumn("guild", "voice_ignore_deafened");
+		await queryInterface.removeColumn("guild", "voice_ignore_afk");
+	}
+};
@@ -0,0 +1,45 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Adding voice channel for voice statistics records and sessions in progress. Channel of existing records is unknown,
+	 * so it stays empty for them.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
+		await queryInterface.addColumn("voice", "id_channel", {
+			type: snowflake,
+			allowNull: true,
+			comment: "Related voice channel ID"
+		});
+		await queryInterface.addConstraint("voice", {
+			fields: ["id_channel"],
+			type: "foreign key",
+			name: "fk_voice_related_to_guild_channel",
+			references: {
+				table: "channel",
+				field: "id"
+			},
+			onDelete: "restrict",
+			onUpdate: "restrict"
+		});
+		await queryInterface.addColumn("voice_session", "id_channel", {
+			type: snowflake,
+			allowNull: true,
+			comment: "Voice channel of the session"
+		});
+	},
+	/**
+	 * Reverting this added fields. Channels of voice records will be lost.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn("voice_session", "id_channel");
+		await queryInterface.removeConstraint("voice", "fk_voice_related_to_guild_channel");
+		await queryInterface.removeColumn("voice", "id_channel");
+	}
+};
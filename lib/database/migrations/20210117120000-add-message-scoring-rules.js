@@ -0,0 +1,54 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Adding message scoring rules for guilds and score multiplier for channels.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.addColumn("guild", "score_cooldown", {
+			type: Sequelize.SMALLINT.UNSIGNED,
+			allowNull: false,
+			defaultValue: 0,
+			comment: "Minimal amount of seconds between scored messages of member, 0 for no cooldown"
+		});
+		await queryInterface.addColumn("guild", "score_cap", {
+			type: Sequelize.SMALLINT.UNSIGNED,
+			allowNull: false,
+			defaultValue: 0,
+			comment: "Maximal score of one message, 0 for no limit"
+		});
+		await queryInterface.addColumn("guild", "score_ignore_commands", {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 1,
+			comment: "Do not score messages calling bot commands"
+		});
+		await queryInterface.addColumn("guild", "score_ignore_duplicates", {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 1,
+			comment: "Do not score messages repeating previous message of member"
+		});
+		await queryInterface.addColumn("channel", "score_multiplier", {
+			type: Sequelize.FLOAT,
+			allowNull: false,
+			defaultValue: 1,
+			comment: "Multiplier of messages score in this channel"
+		});
+	},
+	/**
+	 * Reverting this added fields. Scoring settings will be lost.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn("channel", "score_multiplier");
+		await queryInterface.removeColumn("guild", "score_ignore_duplicates");
+		await queryInterface.removeColumn("guild", "score_ignore_commands");
+		await queryInterface.removeColumn("guild", "score_cap");
+		await queryInterface.removeColumn("guild", "score_cooldown");
+	}
+};
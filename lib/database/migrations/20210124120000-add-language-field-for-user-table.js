@@ -0,0 +1,27 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Adding preferred language of the user. It's used for commands called in direct messages.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.addColumn("user", "language", {
+			type: Sequelize.TEXT({
+				length: "tiny"
+			}),
+			allowNull: true,
+			comment: "Preferred language of the user, default language is used if not set"
+		});
+	},
+	/**
+	 * Reverting this added field. Preferred languages of users will be lost.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn("user", "language");
+	}
+};
@@ -0,0 +1,69 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Creating table for guild rules of commands calling.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
+		await queryInterface.createTable("command_rule", {
+			id: {
+				type: Sequelize.INTEGER.UNSIGNED,
+				primaryKey: true,
+				allowNull: false,
+				autoIncrement: true,
+				comment: "Internal rule ID"
+			},
+			id_guild: {
+				type: snowflake,
+				allowNull: false,
+				comment: "Related Discord guild ID"
+			},
+			scope: {
+				type: Sequelize.TINYINT,
+				allowNull: false,
+				comment: "Rule is applied to: 0 - all commands, 1 - category, 2 - command"
+			},
+			target: {
+				type: Sequelize.TEXT({
+					length: "tiny"
+				}),
+				allowNull: true,
+				comment: "Category or command code, null for all commands"
+			},
+			type: {
+				type: Sequelize.TINYINT,
+				allowNull: false,
+				comment: "Rule type: 1 - disabled, 2 - allowed channel, 3 - denied channel, 4 - required role"
+			},
+			value: {
+				type: snowflake,
+				allowNull: true,
+				comment: "Discord ID of the channel or role"
+			}
+		});
+		await queryInterface.addConstraint("command_rule", {
+			fields: ["id_guild"],
+			type: "foreign key",
+			name: "fk_command_rule_related_to_guild",
+			references: {
+				table: "guild",
+				field: "id"
+			},
+			onDelete: "cascade",
+			onUpdate: "restrict"
+		});
+	},
+	/**
+	 * Simply dropping command rules table. All rules will be lost on undoing this migration!
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeConstraint("command_rule", "fk_command_rule_related_to_guild");
+		await queryInterface.dropTable("command_rule");
+	}
+};
@@ -0,0 +1,52 @@
+"use strict";
+
+module.exports = {
+	/**
+	 * Creating table for guild roles with bot access levels.
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @param {import(sequelize)} Sequelize
+	 * @return {Promise<void>}
+	 */
+	up: async (queryInterface, Sequelize) => {
+		const snowflake = queryInterface.sequelize.getDialect() === "sqlite" ? Sequelize.TEXT : Sequelize.BIGINT.UNSIGNED;
+		await queryInterface.createTable("role", {
+			id: {
+				type: snowflake,
+				primaryKey: true,
+				allowNull: false,
+				comment: "Role Discord Snowflake"
+			},
+			id_guild: {
+				type: snowflake,
+				allowNull: false,
+				comment: "Related Discord guild ID"
+			},
+			access: {
+				type: Sequelize.TINYINT,
+				allowNull: false,
+				defaultValue: 0,
+				comment: "Local access level of role members"
+			}
+		});
+		await queryInterface.addConstraint("role", {
+			fields: ["id_guild"],
+			type: "foreign key",
+			name: "fk_guild_role_related_to_guild",
+			references: {
+				table: "guild",
+				field: "id"
+			},
+			onDelete: "cascade",
+			onUpdate: "restrict"
+		});
+	},
+	/**
+	 * Simply dropping roles table. Access levels of roles will be lost on undoing this migration!
+	 * @param {import(sequelize).QueryInterface} queryInterface
+	 * @return {Promise<void>}
+	 */
+	down: async (queryInterface) => {
+		await queryInterface.removeConstraint("role", "fk_guild_role_related_to_guild");
+		await queryInterface.dropTable("role");
+	}
+};
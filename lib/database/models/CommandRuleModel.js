@@ -0,0 +1,47 @@
+const BaseModel = require("../../classes/base/BaseModel");
+const Guild = require("./GuildModel");
+const Sequelize = require("sequelize");
+
+class CommandRuleModel extends BaseModel {
+	static attributes = {
+		id: {
+			type: Sequelize.INTEGER.UNSIGNED,
+			primaryKey: true,
+			allowNull: false,
+			autoIncrement: true
+		},
+		id_guild: {
+			type: Sequelize.BIGINT.UNSIGNED,
+			allowNull: false,
+			references: {
+				model: Guild,
+				key: "id"
+			}
+		},
+		scope: {
+			type: Sequelize.TINYINT,
+			allowNull: false
+		},
+		target: {
+			type: Sequelize.TEXT({
+				length: "tiny"
+			}),
+			allowNull: true
+		},
+		type: {
+			type: Sequelize.TINYINT,
+			allowNull: false
+		},
+		value: {
+			type: Sequelize.BIGINT.UNSIGNED,
+			allowNull: true
+		}
+	};
+
+	static options = {
+		tableName: "command_rule",
+		timestamps: false
+	};
+}
+
+module.exports = CommandRuleModel;
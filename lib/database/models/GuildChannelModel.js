@@ -21,6 +21,11 @@ class GuildChannelModel extends BaseModel {
 			type: Sequelize.TINYINT,
 			allowNull: false,
 			defaultValue: 0
+		},
+		score_multiplier: {
+			type: Sequelize.FLOAT,
+			allowNull: false,
+			defaultValue: 1
 		}
 	};
 
@@ -31,6 +31,11 @@ class GuildMemberModel extends BaseModel {
 			type: Sequelize.TINYINT,
 			allowNull: false,
 			defaultValue: 0
+		},
+		first_seen: {
+			type: Sequelize.DATE,
+			allowNull: true,
+			defaultValue: Sequelize.NOW
 		}
 	};
 
@@ -104,6 +104,51 @@ class GuildModel extends BaseModel {
 			allowNull: false,
 			defaultValue: 0
 		},
+		logs_mode: {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0
+		},
+		voice_ignore_afk: {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0
+		},
+		voice_ignore_deafened: {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0
+		},
+		voice_ignore_muted: {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0
+		},
+		voice_min_members: {
+			type: Sequelize.TINYINT.UNSIGNED,
+			allowNull: false,
+			defaultValue: 1
+		},
+		score_cooldown: {
+			type: Sequelize.SMALLINT.UNSIGNED,
+			allowNull: false,
+			defaultValue: 0
+		},
+		score_cap: {
+			type: Sequelize.SMALLINT.UNSIGNED,
+			allowNull: false,
+			defaultValue: 0
+		},
+		score_ignore_commands: {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 1
+		},
+		score_ignore_duplicates: {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 1
+		},
 		language: {
 			type: Sequelize.TEXT({
 				length: "tiny"
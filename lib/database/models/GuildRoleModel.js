@@ -0,0 +1,33 @@
+const BaseModel = require("../../classes/base/BaseModel");
+const Guild = require("./GuildModel");
+const Sequelize = require("sequelize");
+
+class GuildRoleModel extends BaseModel {
+	static attributes = {
+		id: {
+			type: Sequelize.BIGINT.UNSIGNED,
+			allowNull: false,
+			primaryKey: true
+		},
+		id_guild: {
+			type: Sequelize.BIGINT.UNSIGNED,
+			allowNull: false,
+			references: {
+				model: Guild,
+				key: "id"
+			}
+		},
+		access: {
+			type: Sequelize.TINYINT,
+			allowNull: false,
+			defaultValue: 0
+		}
+	};
+
+	static options = {
+		tableName: "role",
+		timestamps: false
+	};
+}
+
+module.exports = GuildRoleModel;
@@ -12,6 +12,12 @@ class UserModel extends BaseModel {
 			type: Sequelize.TINYINT,
 			allowNull: false,
 			defaultValue: 0
+		},
+		language: {
+			type: Sequelize.TEXT({
+				length: "tiny"
+			}),
+			allowNull: true
 		}
 	};
 
@@ -0,0 +1,40 @@
+const GuildMember = require("./GuildMemberModel");
+const BaseModel = require("../../classes/base/BaseModel");
+const Sequelize = require("sequelize");
+
+class VoiceSessionModel extends BaseModel {
+	static attributes = {
+		id_member: {
+			type: Sequelize.INTEGER.UNSIGNED,
+			primaryKey: true,
+			allowNull: false,
+			references: {
+				model: GuildMember,
+				key: "id"
+			}
+		},
+		timestamp_begin: {
+			type: Sequelize.DATE,
+			allowNull: false
+		},
+		timestamp_heartbeat: {
+			type: Sequelize.DATE,
+			allowNull: false
+		},
+		exclusion: {
+			type: Sequelize.TINYINT,
+			allowNull: true
+		},
+		id_channel: {
+			type: Sequelize.BIGINT.UNSIGNED,
+			allowNull: true
+		}
+	};
+
+	static options = {
+		tableName: "voice_session",
+		timestamps: false
+	};
+}
+
+module.exports = VoiceSessionModel;
@@ -1,4 +1,5 @@
 const GuildMember = require("./GuildMemberModel");
+const GuildChannel = require("./GuildChannelModel");
 const BaseModel = require("../../classes/base/BaseModel");
 const Sequelize = require("sequelize");
 
@@ -23,8 +24,20 @@ class VoiceStatisticsModel extends BaseModel {
 			allowNull: false
 		},
 		weight: {
-			type: Sequelize.TIME,
+			type: Sequelize.INTEGER.UNSIGNED,
 			allowNull: false
+		},
+		exclusion: {
+			type: Sequelize.TINYINT,
+			allowNull: true
+		},
+		id_channel: {
+			type: Sequelize.BIGINT.UNSIGNED,
+			allowNull: true,
+			references: {
+				model: GuildChannel,
+				key: "id"
+			}
 		}
 	};
 
@@ -2,8 +2,10 @@ declare type PermissionString = import("discord.js").PermissionString;
 
 declare namespace Database {
 	import {
+		CommandRuleModel,
 		GuildMemberModel,
 		GuildChannelModel,
+		GuildRoleModel,
 		UserModel,
 		GuildModel,
 		DocumentModel,
@@ -12,8 +14,10 @@ declare namespace Database {
 		TaskModel
 	} from "/lib/classes/Database.js";
 
+	public type CommandRuleModel = CommandRuleModel;
 	public type GuildMemberModel = GuildMemberModel;
 	public type GuildChannelModel = GuildChannelModel;
+	public type GuildRoleModel = GuildRoleModel;
 	public type UserModel = UserModel;
 	public type GuildModel = GuildModel;
 	public type DocumentModel = DocumentModel;
@@ -37,20 +41,82 @@ declare namespace Cognitum {
 	 */
 	public type ArgumentsLengthValidationMode = "max" | "exact";
 
+	/**
+	 * Database instances of the message. Guild, channel and member instances are null in direct messages.
+	 */
 	public interface ContextModelsInstances {
-		guild: Database.GuildModel;
-		channel: Database.GuildChannelModel;
-		member: Database.GuildMemberModel;
+		guild: Database.GuildModel | null;
+		channel: Database.GuildChannelModel | null;
+		member: Database.GuildMemberModel | null;
 		user: Database.UserModel;
 	}
 
+	public interface ScoringContext extends ContextModelsInstances {
+		isCommand: boolean;
+	}
+
 	public interface ContextValidatorOptions {
 		callerPermission?: PermissionString | PermissionString[];
 		botPermission?: PermissionString | PermissionString[];
 		arguments?: Cognitum.CommandArgumentsOptions;
+		access?: Cognitum.AccessLevelCode;
+	}
+
+	/**
+	 * Bot access levels in ascending order.
+	 */
+	public type AccessLevelCode = "user" | "trusted" | "moderator" | "admin" | "owner";
+
+	/**
+	 * Parts of the bot which can be reloaded without restart.
+	 */
+	public type ReloadTarget = "lang" | "commands" | "config";
+
+	/**
+	 * Message passed between shards and sharding manager.
+	 */
+	public interface ShardMessage {
+		type: "reload";
+		target: Cognitum.ReloadTarget;
 	}
 
-	public type ArgumentErrorType = "min" | "max" | "length" | "value" | "valueList";
+	public type ArgumentErrorType = "min" | "max" | "length" | "range" | "value" | "valueList" | "missing" | "hiddenChannel"
+		| `types.${Cognitum.ArgumentType}`;
+
+	/**
+	 * Types of declared command parameters. Mentions and IDs are resolved into Discord structures, duration is resolved
+	 * into amount of seconds.
+	 */
+	public type ArgumentType = "member" | "role" | "textChannel" | "voiceChannel" | "duration" | "integer" | "enum"
+		| "boolean" | "text";
+
+	public interface ArgumentDeclaration {
+		/**
+		 * Name of the resolved parameter.
+		 */
+		name: string;
+		type: Cognitum.ArgumentType;
+		/**
+		 * Optional parameters are resolved into null when not passed.
+		 */
+		optional?: boolean;
+		/**
+		 * Resolve this parameter from the raw content of all arguments not required by the parameters after it.
+		 */
+		rest?: boolean;
+		/**
+		 * Allowed values for `enum` type.
+		 */
+		values?: string[];
+		/**
+		 * Minimal value for `integer` type.
+		 */
+		min?: number;
+		/**
+		 * Maximal value for `integer` type or maximal amount of seconds for `duration` type.
+		 */
+		max?: number;
+	}
 
 	private interface ArgumentLengthOptions {
 		mode: Cognitum.ArgumentsLengthValidationMode;
@@ -84,6 +150,23 @@ declare namespace Cognitum {
 		values?: (string[] | RegExp | null)[];
 	}
 
+	public interface CommandCooldown {
+		/**
+		 * Target of the limit: calls are counted for each user, each channel or each guild.
+		 * @default user
+		 */
+		scope?: "user" | "channel" | "guild";
+		/**
+		 * Duration of the limit in seconds.
+		 */
+		duration: number;
+		/**
+		 * Amount of calls allowed during duration.
+		 * @default 1
+		 */
+		uses?: number;
+	}
+
 	public interface ContentParsingResult {
 		/**
 		 * Status of parsing. If command found, it contains `true`. In other situation, it will contain `false`.
@@ -97,13 +180,36 @@ declare namespace Cognitum {
 		 * List of arguments passed to this command.
 		 */
 		args?: string[];
+		/**
+		 * Flags passed to this command in format `--name value`.
+		 */
+		flags?: Record<string, string | boolean>;
+		/**
+		 * Raw content of the message from each argument to the end of the last argument.
+		 */
+		remainders?: string[];
+	}
+
+	public interface ContentTokenizingResult {
+		args: string[];
+		flags: Record<string, string | boolean>;
+		remainders: string[];
 	}
 
-	public interface TimeStringParseResult {
-		days: number | null;
-		hours: number | null;
-		minutes: number | null;
-		seconds: number | null;
+	public interface ContentToken {
+		value: string;
+		/**
+		 * Token contains quoted part and can't be a flag.
+		 */
+		quoted: boolean;
+		/**
+		 * Position of the token beginning in the content.
+		 */
+		start: number;
+		/**
+		 * Position after the token ending in the content.
+		 */
+		end: number;
 	}
 
 	public interface TaskQueueRunOptions {
@@ -4,6 +4,9 @@ const { Intents } = require("discord.js");
 
 const cognitum = new CognitumClient({
 	disableMentions: "everyone",
+	// Messages partials are required for logging updates and deletes of uncached messages. Reactions and users
+	// partials are required for verification reactions on welcome messages sent before restart.
+	partials: ["MESSAGE", "CHANNEL", "REACTION", "USER"],
 	ws: {
 		// TODO Specify all intents required for bot functionality
 		intents: new Intents([